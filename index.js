@@ -1,14 +1,253 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const mqtt = require('mqtt');
 
+// Unit conversions available to the "convert" transform (all produce SI units)
+const UNIT_CONVERSIONS = {
+  celsiusToKelvin: (v) => v + 273.15,
+  fahrenheitToKelvin: (v) => (v - 32) * 5 / 9 + 273.15,
+  knotsToMs: (v) => v * 1852 / 3600,
+  kmhToMs: (v) => v / 3.6,
+  mphToMs: (v) => v * 0.44704,
+  degreesToRadians: (v) => v * Math.PI / 180,
+  percentToRatio: (v) => v / 100,
+  hPaToPa: (v) => v * 100,
+  kPaToPa: (v) => v * 1000,
+  barToPa: (v) => v * 100000,
+  psiToPa: (v) => v * 6894.757,
+  nauticalMilesToMeters: (v) => v * 1852,
+  feetToMeters: (v) => v * 0.3048,
+  litersToCubicMeters: (v) => v / 1000,
+  usGallonsToCubicMeters: (v) => v * 0.003785411784,
+  rpmToHz: (v) => v / 60,
+  ampHoursToCoulombs: (v) => v * 3600,
+  wattHoursToJoules: (v) => v * 3600,
+  kilowattHoursToJoules: (v) => v * 3600000,
+  minutesToSeconds: (v) => v * 60,
+  hoursToSeconds: (v) => v * 3600
+};
+
+const DEFAULT_DUPLICATE_WINDOW = 60; // Seconds an identical value counts as a duplicate
+const PUBLISH_STATE_MAX_AGE = 10 * 60 * 1000; // Deadband state is refreshed at least this often (ms)
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_NAUTICAL_MILE = 1852;
+const GEO_POSITION_MAX_AGE = 60 * 60 * 1000; // Tracked positions of remote vessels older than this count as unknown (ms)
+const GEO_MAX_TRACKED_POSITIONS = 20000; // Remote contexts whose last position is kept for geographic filters
+const STALENESS_CHECK_INTERVAL = 5000; // How often the staleness watchdog runs (ms)
+const ALERT_STATES = ['normal', 'alert', 'warn', 'alarm', 'emergency'];
+const ZONE_STATES = ['nominal', 'normal', 'alert', 'warn', 'alarm', 'emergency']; // SignalK zone states, least severe first
+const ALERT_METHODS = ['visual', 'sound'];
+const META_STRING_FIELDS = ['units', 'displayName', 'shortName', 'longName', 'description'];
+const CONTEXT_ROOTS = ['vessels', 'aircraft', 'atons', 'sar', 'shore'];
+const DISCOVERY_DEFAULT_DURATION = 300; // Seconds a topic discovery session runs by default
+const DISCOVERY_MAX_DURATION = 3600;
+const DISCOVERY_MAX_TOPICS = 5000; // Topics recorded per discovery session
+const DISCOVERY_PAYLOAD_EXCERPT = 500; // Characters of the last payload kept per topic
+const DEAD_LETTER_PAYLOAD_EXCERPT = 1000; // Characters of a rejected payload kept in the dead-letter buffer
+const DEAD_LETTER_SAVE_DELAY = 5000; // Rejected messages are written to disk at most this often (ms)
+const METRICS_RATE_INTERVAL = 10000; // Message rates are averaged over this period (ms)
+const METRICS_MAX_TOPICS = 500; // Top-level topics tracked individually; the rest count as "(other)"
+const COMPILED_CACHE_SIZE = 500; // Compiled expressions and topic templates kept, oldest dropped first
+
+const DEFAULT_BROKER_ID = 'default'; // Connection built from the top-level broker settings
+
+// Transport, TLS and session settings, shared by the default broker and each additional broker
+const CONNECTION_OPTIONS_SCHEMA = {
+  type: 'object',
+  title: 'Connection Options',
+  properties: {
+    protocolVersion: {
+      type: 'number',
+      title: 'MQTT Protocol Version',
+      enum: [4, 5],
+      enumNames: ['MQTT 3.1.1', 'MQTT 5.0'],
+      default: 4
+    },
+    cleanSession: {
+      type: 'boolean',
+      title: 'Clean Session',
+      description: 'Turn off for a persistent session: the broker keeps the subscriptions and queues QoS 1 messages while disconnected (needs a fixed client id)',
+      default: true
+    },
+    sessionExpiryInterval: {
+      type: 'number',
+      title: 'Session Expiry Interval (seconds)',
+      description: 'MQTT 5 only: how long the broker keeps a persistent session after disconnecting (0 ends it on disconnect)'
+    },
+    userProperties: {
+      type: 'array',
+      title: 'User Properties',
+      description: 'MQTT 5 only: name/value pairs sent with the connect packet',
+      default: [],
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', title: 'Name' },
+          value: { type: 'string', title: 'Value' }
+        }
+      }
+    },
+    keepalive: {
+      type: 'number',
+      title: 'Keepalive (seconds)',
+      default: 60
+    },
+    connectTimeout: {
+      type: 'number',
+      title: 'Connect Timeout (seconds)',
+      default: 30
+    },
+    reconnectDelay: {
+      type: 'number',
+      title: 'Reconnect Delay (seconds)',
+      description: 'Wait before the first reconnect attempt (0 disables reconnecting)',
+      default: 5
+    },
+    maxReconnectDelay: {
+      type: 'number',
+      title: 'Maximum Reconnect Delay (seconds)',
+      description: 'The delay doubles after each failed attempt up to this value',
+      default: 60
+    },
+    tls: {
+      type: 'object',
+      title: 'TLS',
+      description: 'For mqtts:// and wss:// brokers. File paths are relative to the plugin data directory',
+      properties: {
+        caFile: { type: 'string', title: 'CA Certificate File', description: 'PEM file with the CA certificate(s) of a private broker' },
+        certFile: { type: 'string', title: 'Client Certificate File', description: 'PEM client certificate for certificate authentication' },
+        keyFile: { type: 'string', title: 'Client Key File', description: 'PEM private key for the client certificate' },
+        keyPassphrase: { type: 'string', title: 'Client Key Passphrase' },
+        servername: { type: 'string', title: 'Server Name', description: 'Host name to verify the broker certificate against (SNI), if it differs from the URL' },
+        rejectUnauthorized: {
+          type: 'boolean',
+          title: 'Verify Broker Certificate',
+          description: 'Only turn off for testing; without verification the connection can be intercepted',
+          default: true
+        }
+      }
+    }
+  }
+};
+const PAYLOAD_FORMATS = ['full', 'value-only', 'fields', 'nmea0183', 'delimited', 'binary'];
+const FIELD_MAPPING_FORMATS = ['fields', 'delimited', 'binary']; // Formats importing the values listed in fieldMappings
+// Binary field types: Buffer read method (BE/LE is appended for multi-byte types) and size in bytes
+const BINARY_FIELD_TYPES = {
+  uint8: ['readUInt8', 1], int8: ['readInt8', 1], uint16: ['readUInt16', 2], int16: ['readInt16', 2],
+  uint32: ['readUInt32', 4], int32: ['readInt32', 4], float32: ['readFloat', 4], float64: ['readDouble', 8]
+};
+// GGA fix quality as navigation.gnss.methodQuality
+const NMEA_GPS_QUALITY = ['no GPS', 'GNSS Fix', 'DGNSS fix', 'Precise GNSS', 'RTK fixed integer', 'RTK float',
+  'Estimated (DR) mode', 'Manual input', 'Simulator mode'];
+const DEFAULT_RULE_QOS = 1;
+const RETAINED_POLICIES = ['accept', 'ignore']; // What a rule does with retained messages from the broker
+const DEFAULT_COMMAND_TIMEOUT = 10; // Seconds a PUT waits for the device to confirm the new state
+
+// Home Assistant MQTT discovery: supported components, the SignalK path per sensor
+// device class ({id} is the entity's object id) and conversions of announced units to SI
+const HA_DISCOVERY_COMPONENTS = ['sensor', 'binary_sensor', 'switch'];
+const HA_DEVICE_CLASS_PATHS = {
+  temperature: 'environment.inside.{id}.temperature',
+  humidity: 'environment.inside.{id}.relativeHumidity',
+  pressure: 'environment.inside.{id}.pressure',
+  atmospheric_pressure: 'environment.outside.{id}.pressure',
+  illuminance: 'environment.inside.{id}.illuminance',
+  carbon_dioxide: 'environment.inside.{id}.co2',
+  battery: 'electrical.batteries.{id}.capacity.stateOfCharge',
+  voltage: 'electrical.{id}.voltage',
+  current: 'electrical.{id}.current',
+  power: 'electrical.{id}.power',
+  energy: 'electrical.{id}.energy',
+  frequency: 'electrical.{id}.frequency',
+  volume: 'tanks.{id}.currentVolume',
+  wind_speed: 'environment.wind.{id}.speed'
+};
+const HA_UNIT_CONVERSIONS = {
+  '°C': 'celsiusToKelvin', '°F': 'fahrenheitToKelvin', '%': 'percentToRatio', '°': 'degreesToRadians',
+  hPa: 'hPaToPa', mbar: 'hPaToPa', kPa: 'kPaToPa', bar: 'barToPa', psi: 'psiToPa',
+  kn: 'knotsToMs', 'km/h': 'kmhToMs', mph: 'mphToMs', ft: 'feetToMeters',
+  L: 'litersToCubicMeters', gal: 'usGallonsToCubicMeters', Wh: 'wattHoursToJoules', kWh: 'kilowattHoursToJoules',
+  min: 'minutesToSeconds', h: 'hoursToSeconds'
+};
+const HA_SI_UNITS = ['K', 'Pa', 'V', 'A', 'W', 'J', 'Hz', 's', 'm', 'm/s', 'm³', 'lx', 'ppm'];
+// Abbreviated discovery keys used by Tasmota, ESPHome and others
+const HA_ABBREVIATIONS = {
+  stat_t: 'state_topic', cmd_t: 'command_topic', val_tpl: 'value_template', dev_cla: 'device_class',
+  unit_of_meas: 'unit_of_measurement', uniq_id: 'unique_id', pl_on: 'payload_on', pl_off: 'payload_off',
+  stat_on: 'state_on', stat_off: 'state_off', dev: 'device'
+};
+const RULE_BOOLEAN_FIELDS = ['enabled', 'ignoreDuplicates', 'continueMatching', 'forceContext', 'allowSelfContext',
+  'sourceIncludeTopic', 'staleClearValues'];
+const RULE_STRING_FIELDS = ['signalKContext', 'signalKPath', 'sourceLabel', 'excludeMMSI', 'timestampField', 'discoveryId',
+  'delimiter'];
+const RULES_EXPORT_FORMAT = 'zennora-signalk-mqtt-import-rules';
+const RULES_SCHEMA_VERSION = 2; // Version of the stored rule format; 1 is the original plain array
+const RULES_HISTORY_SIZE = 20; // Previous rule sets kept for rollback
+
+// Rule migrations: RULE_MIGRATIONS[n] upgrades a rule from schema version n to n + 1
+const RULE_MIGRATIONS = {
+  // Rules from before the vessels.self guard keep writing to our own vessel
+  1: rule => (rule.allowSelfContext === undefined ? { ...rule, allowSelfContext: true } : rule)
+};
+
+const TRANSFORM_TYPES = ['scale', 'offset', 'linear', 'convert', 'clamp', 'round', 'boolean', 'map', 'expression'];
+// Numeric parameters of each transform type
+const TRANSFORM_NUMBER_FIELDS = {
+  scale: ['factor'],
+  offset: ['offset'],
+  linear: ['factor', 'offset'],
+  clamp: ['min', 'max'],
+  round: ['decimals']
+};
+
+// Names visible to transform expressions besides the scope variables
+const EXPRESSION_GLOBALS = {
+  abs: Math.abs, min: Math.min, max: Math.max, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+  sqrt: Math.sqrt, pow: Math.pow, sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin,
+  acos: Math.acos, atan: Math.atan, atan2: Math.atan2, log: Math.log, log10: Math.log10, exp: Math.exp,
+  PI: Math.PI, E: Math.E, Number: Number, String: String, isNaN: Number.isNaN
+};
+const EXPRESSION_FUNCTIONS = new Set(Object.values(EXPRESSION_GLOBALS).filter(v => typeof v === 'function'));
+
 module.exports = function(app) {
   let plugin = {};
-  let mqttClient = null;
+  let connections = new Map(); // Broker connections by id: settings, MQTT client and connection counters
+  let configuredBrokerIds = new Set(); // Ids of every configured broker, disabled ones included
   let importRules = []; // Store import rules
-  let lastReceivedMessages = new Map(); // Track received messages for deduplication
+  let lastPublishedValues = new Map(); // Last value sent per rule, context and path (throttling and deduplication)
+  let publishStateCleanupTimer = null; // Timer pruning old entries from lastPublishedValues
+  let metrics = createMetrics(); // Message counters for the whole plugin, per rule and per top-level topic
+  let metricsRateTimer = null; // Timer updating message rates
   let selfVesselUrn = null; // Store the self vessel's URN
   let rulesFilePath = null; // Path to persistent rules file
+  let compiledExpressions = new Map(); // Cache of compiled transform expressions
+  let compiledTopicTemplates = new Map(); // Cache of compiled rule topic templates
+  let topicMatcher = null; // Topic trie built from the enabled rules, with the rules it indexes
+  let ruleActivity = new Map(); // Last import time and known paths per rule (staleness watchdog)
+  let pathActivity = new Map(); // Last import time per rule, context and path with a stale timeout
+  let stalenessTimer = null; // Timer running the staleness watchdog
+  let startedAt = null; // Plugin start time, the baseline for rules that never received data
+  let exportFingerprints = new Map(); // Recent values emitted by this server (echo suppression)
+  let serverDeltaListener = null; // Listener recording exportFingerprints
+  let importedDeltas = new WeakSet(); // Deltas this plugin imported, which are not fingerprinted
+  let loopsSuppressed = { total: 0, origin: 0, source: 0, fingerprint: 0 }; // Echoes dropped, by reason
+  let discovery = null; // Active topic discovery session (own MQTT client, filter, discovered topics)
+  let discoveryStreams = new Set(); // Open server-sent event responses for the topic browser
+  let deadLetters = []; // Most recent rejected messages, oldest first
+  let deadLetterCounts = {}; // Rejected messages by reason since the buffer was cleared
+  let deadLetterSaveTimer = null; // Pending write of the dead-letter buffer to the data dir
+  let vesselPositions = new Map(); // Last imported position per remote context, least recently updated first
+  let geoAreaContexts = new Map(); // Contexts currently inside each geo-filtered rule's area, by rule id
+  let commandTargets = new Map(); // Controllable paths by "<context>|<path>": rule, broker and topic captures of the last state message
+  let putHandlers = new Map(); // PUT handlers registered with the server by "<context>|<path>", with their unregister function if any
+  let pendingCommands = new Map(); // PUTs waiting for the device to confirm the new state, by "<context>|<path>"
+  let discoveredDevices = new Map(); // Entities announced through Home Assistant discovery, by discovery id
+  let ignoredDiscoveries = new Set(); // Discovery ids the user chose not to import
+  let metaSent = new Map(); // Metadata sent per "<context>|<path>": the rule's declaration and its fingerprint
+  let zoneStates = new Map(); // Notification state per "<context>|<path>" of paths with declared zones
+  let batch = null; // Imported values waiting to be sent together: by context and source, value count, flush timer
+  let serverNMEAParser; // The server's NMEA 0183 parser, null if it can't be loaded (undefined until first needed)
 
   plugin.id = 'zennora-signalk-mqtt-import';
   plugin.name = 'Zennora MQTT Import Manager';
@@ -23,14 +262,40 @@ module.exports = function(app) {
       mqttUsername: options?.mqttUsername || '',
       mqttPassword: options?.mqttPassword || '',
       topicPrefix: options?.topicPrefix || '',
-      enabled: options?.enabled || true
+      connectionOptions: options?.connectionOptions || {},
+      brokers: Array.isArray(options?.brokers) ? options.brokers : [],
+      enabled: options?.enabled || true,
+      suppressEchoes: options?.suppressEchoes !== false,
+      echoSourceLabels: options?.echoSourceLabels || '',
+      echoOriginField: options?.echoOriginField || 'origin',
+      echoOriginId: options?.echoOriginId || '',
+      echoFingerprintTtl: options?.echoFingerprintTtl || 10,
+      deadLetterSize: options?.deadLetterSize ?? 200,
+      persistDeadLetters: options?.persistDeadLetters === true,
+      deviceDiscovery: options?.deviceDiscovery === true,
+      deviceDiscoveryPrefix: options?.deviceDiscoveryPrefix || 'homeassistant',
+      deviceDiscoveryAutoApprove: options?.deviceDiscoveryAutoApprove === true,
+      batchWindow: options?.batchWindow || 0,
+      batchMaxValues: options?.batchMaxValues || 500
     };
 
+    loopsSuppressed = { total: 0, origin: 0, source: 0, fingerprint: 0 };
+    vesselPositions = new Map();
+    geoAreaContexts = new Map();
+    discoveredDevices = new Map();
+    metaSent = new Map();
+    zoneStates = new Map();
+    loadDeadLetters(config);
+    metrics = createMetrics();
+    metricsRateTimer = setInterval(updateMetricRates, METRICS_RATE_INTERVAL);
+
     plugin.config = config;
+    connections = buildConnections(config);
+    configuredBrokerIds = getConfiguredBrokerIds(config);
+    loadIgnoredDiscoveries();
     
     // Load rules from persistent storage (or migrate from old config)
-    const migratedRules = migrateOldConfiguration(options);
-    importRules = migratedRules || loadRulesFromStorage();
+    importRules = migrateOldConfiguration(options) || loadRulesFromStorage() || getDefaultImportRules();
     
     app.debug(`Loaded ${importRules.length} import rules from persistent storage`);
 
@@ -42,13 +307,33 @@ module.exports = function(app) {
       app.debug(`Warning: Could not get self vessel URN: ${error.message}`);
     }
 
+    rebuildTopicMatcher();
+    sendStaticMeta();
+    registerFixedCommandTargets();
+
+    // Forget publish state that is too old to affect throttling, deduplication or echo suppression
+    publishStateCleanupTimer = setInterval(() => {
+      prunePublishState();
+      pruneExportFingerprints();
+    }, 60000);
+
+    // Remember what this server emits so it can be recognised when it comes back over MQTT
+    if (config.suppressEchoes && app.signalk && typeof app.signalk.on === 'function') {
+      serverDeltaListener = recordExportFingerprints;
+      app.signalk.on('delta', serverDeltaListener);
+    }
+
+    // Watch for rules and paths whose data has stopped arriving
+    startedAt = Date.now();
+    stalenessTimer = setInterval(checkStaleness, STALENESS_CHECK_INTERVAL);
+
     if (!config.enabled) {
       app.debug('MQTT Import plugin disabled');
       return;
     }
 
-    // Initialize MQTT client
-    initializeMQTTClient(config);
+    // Connect to every broker
+    connections.forEach(connection => initializeMQTTClient(connection));
 
     app.debug('Zennora MQTT Import Manager plugin started');
   };
@@ -56,297 +341,1174 @@ module.exports = function(app) {
   plugin.stop = function() {
     app.debug('Stopping Zennora MQTT Import Manager plugin');
     
-    // Disconnect MQTT client
-    if (mqttClient) {
-      mqttClient.end();
-      mqttClient = null;
-    }
+    // Disconnect MQTT clients
+    connections.forEach(connection => {
+      if (connection.client) {
+        connection.client.end();
+        connection.client = null;
+      }
+    });
 
-    lastReceivedMessages.clear();
+    if (publishStateCleanupTimer) {
+      clearInterval(publishStateCleanupTimer);
+      publishStateCleanupTimer = null;
+    }
+    lastPublishedValues.clear();
+    if (serverDeltaListener && app.signalk) {
+      app.signalk.removeListener('delta', serverDeltaListener);
+      serverDeltaListener = null;
+    }
+    exportFingerprints.clear();
+    if (stalenessTimer) {
+      clearInterval(stalenessTimer);
+      stalenessTimer = null;
+    }
+    if (metricsRateTimer) {
+      clearInterval(metricsRateTimer);
+      metricsRateTimer = null;
+    }
+    ruleActivity.clear();
+    pathActivity.clear();
+    if (deadLetterSaveTimer) {
+      clearTimeout(deadLetterSaveTimer);
+      deadLetterSaveTimer = null;
+      saveDeadLetters();
+    }
+    stopDiscovery();
+    discoveryStreams.forEach(res => res.end());
+    discoveryStreams.clear();
+    stopCommands();
+    flushBatch();
+    metaSent.clear();
+    zoneStates.clear();
+    topicMatcher = null;
+    compiledExpressions.clear();
+    compiledTopicTemplates.clear();
     app.debug('Zennora MQTT Import Manager plugin stopped');
   };
 
-  // Initialize MQTT client
-  function initializeMQTTClient(config) {
-    try {
-      const mqttOptions = {
-        clientId: config.mqttClientId,
-        clean: true,
-        reconnectPeriod: 5000,
-        keepalive: 60
-      };
+  // Broker connections
+  // The top-level broker settings are the "default" connection; more brokers can be
+  // added with their own URL, credentials, client id and topic prefix. Rules choose
+  // the connections they subscribe on with "brokers" (default: the default broker).
+  function buildConnections(config) {
+    const result = new Map();
+    const add = settings => {
+      result.set(settings.id, {
+        ...settings,
+        client: null,
+        stats: { connects: 0, reconnects: 0, disconnects: 0, errors: 0, received: 0, bytes: 0 },
+        lastError: null,
+        connectedAt: null,
+        subscriptions: new Map() // Topic filter -> QoS currently subscribed on the broker
+      });
+    };
+
+    add({
+      id: DEFAULT_BROKER_ID,
+      name: 'Default',
+      url: config.mqttBroker,
+      clientId: config.mqttClientId,
+      username: config.mqttUsername,
+      password: config.mqttPassword,
+      topicPrefix: config.topicPrefix,
+      options: normalizeConnectionOptions(config.connectionOptions)
+    });
 
-      if (config.mqttUsername && config.mqttPassword) {
-        mqttOptions.username = config.mqttUsername;
-        mqttOptions.password = config.mqttPassword;
+    config.brokers.forEach(broker => {
+      if (!broker || !broker.id || !broker.url) {
+        app.debug('Skipping broker without id or URL');
+        return;
       }
+      if (result.has(broker.id)) {
+        app.debug(`Skipping duplicate broker id "${broker.id}"`);
+        return;
+      }
+      if (broker.enabled === false) return;
+      add({
+        id: broker.id,
+        name: broker.name || broker.id,
+        url: broker.url,
+        clientId: broker.clientId || `${config.mqttClientId}-${broker.id}`,
+        username: broker.username || '',
+        password: broker.password || '',
+        topicPrefix: broker.topicPrefix || '',
+        options: normalizeConnectionOptions(broker.connectionOptions)
+      });
+    });
+
+    return result;
+  }
+
+  // Rules may name a disabled broker: they stay valid and just don't subscribe on it
+  // until the broker is enabled again
+  function getConfiguredBrokerIds(config) {
+    const ids = config.brokers.filter(broker => broker && broker.id && broker.url).map(broker => broker.id);
+    return new Set([DEFAULT_BROKER_ID, ...ids]);
+  }
+
+  // Connection ids a rule subscribes on
+  function getRuleBrokers(rule) {
+    return Array.isArray(rule.brokers) && rule.brokers.length > 0 ? rule.brokers : [DEFAULT_BROKER_ID];
+  }
+
+  function ruleUsesConnection(rule, connection) {
+    return getRuleBrokers(rule).includes(connection.id);
+  }
 
-      mqttClient = mqtt.connect(config.mqttBroker, mqttOptions);
+  function isAnyConnectionUp() {
+    return Array.from(connections.values()).some(connection => connection.client && connection.client.connected);
+  }
+
+  // Topic as the rules see it, without the connection's topic prefix
+  function stripTopicPrefix(topic, connection) {
+    const prefix = connection.topicPrefix;
+    return prefix && topic.startsWith(`${prefix}/`) ? topic.slice(prefix.length + 1) : topic;
+  }
+
+  function describeConnection(connection) {
+    return {
+      id: connection.id,
+      name: connection.name,
+      broker: getBrokerDisplayName(connection),
+      clientId: connection.clientId,
+      topicPrefix: connection.topicPrefix,
+      protocolVersion: connection.options.protocolVersion,
+      persistentSession: !connection.options.cleanSession,
+      tls: Boolean(connection.options.tls.caFile || connection.options.tls.certFile) || /^(mqtts|wss):/.test(connection.url),
+      connected: Boolean(connection.client && connection.client.connected),
+      connectedAt: connection.connectedAt ? new Date(connection.connectedAt).toISOString() : null,
+      lastError: connection.lastError,
+      rules: importRules.filter(rule => rule.enabled && ruleUsesConnection(rule, connection)).length,
+      ...connection.stats
+    };
+  }
+
+  // Initialize MQTT client
+  function initializeMQTTClient(connection) {
+    try {
+      const client = mqtt.connect(connection.url, buildMQTTOptions(connection));
+      connection.client = client;
 
-      mqttClient.on('connect', () => {
-        app.debug(`✅ Connected to MQTT broker: ${config.mqttBroker}`);
-        subscribeToMQTTTopics();
+      client.on('connect', (connack) => {
+        app.debug(`✅ Connected to MQTT broker "${connection.name}": ${getBrokerDisplayName(connection)}` +
+          (connack && connack.sessionPresent ? ' (session resumed)' : ''));
+        connection.stats.connects++;
+        connection.connectedAt = Date.now();
+        connection.lastError = null;
+        client.options.reconnectPeriod = connection.options.reconnectDelay * 1000;
+        // A resumed persistent session still holds its subscriptions on the broker, so the
+        // known ones are kept (or loaded after a restart) and filters no longer wanted get
+        // unsubscribed; otherwise they are made again (the client's own resubscribe is off)
+        if (connack && connack.sessionPresent) {
+          if (connection.subscriptions.size === 0) {
+            connection.subscriptions = loadSessionSubscriptions(connection);
+          }
+        } else {
+          connection.subscriptions = new Map();
+        }
+        subscribeToMQTTTopics(connection);
       });
 
-      mqttClient.on('error', (error) => {
-        app.debug(`❌ MQTT client error: ${error.message}`);
+      client.on('error', (error) => {
+        app.debug(`❌ MQTT client error on "${connection.name}": ${error.message}`);
+        connection.stats.errors++;
+        connection.lastError = error.message;
       });
 
-      mqttClient.on('close', () => {
-        app.debug('🔌 MQTT client disconnected');
+      client.on('close', () => {
+        app.debug(`🔌 MQTT client "${connection.name}" disconnected`);
+        connection.stats.disconnects++;
       });
 
-      mqttClient.on('reconnect', () => {
-        app.debug('🔄 MQTT client reconnecting...');
+      // Back off: each failed attempt doubles the wait before the next one
+      client.on('reconnect', () => {
+        app.debug(`🔄 MQTT client "${connection.name}" reconnecting...`);
+        connection.stats.reconnects++;
+        client.options.reconnectPeriod = Math.min(client.options.reconnectPeriod * 2,
+          Math.max(connection.options.maxReconnectDelay, connection.options.reconnectDelay) * 1000);
       });
 
-      mqttClient.on('message', (topic, message) => {
-        handleMQTTMessage(topic, message);
+      client.on('message', (topic, message, packet) => {
+        handleMQTTMessage(connection, topic, message, packet);
       });
 
     } catch (error) {
-      app.debug(`Failed to initialize MQTT client: ${error.message}`);
+      connection.lastError = error.message;
+      app.debug(`Failed to initialize MQTT client "${connection.name}": ${error.message}`);
     }
   }
 
-  // Subscribe to MQTT topics based on import rules
-  function subscribeToMQTTTopics() {
-    if (!mqttClient || !mqttClient.connected) {
-      return;
+  // Connection options with defaults filled in
+  function normalizeConnectionOptions(options = {}) {
+    const number = (value, fallback) => (typeof value === 'number' && value >= 0 ? value : fallback);
+    return {
+      protocolVersion: options.protocolVersion === 5 ? 5 : 4,
+      cleanSession: options.cleanSession !== false,
+      sessionExpiryInterval: typeof options.sessionExpiryInterval === 'number' ? options.sessionExpiryInterval : null,
+      userProperties: Array.isArray(options.userProperties) ? options.userProperties.filter(p => p && p.name) : [],
+      keepalive: number(options.keepalive, 60),
+      connectTimeout: number(options.connectTimeout, 30),
+      reconnectDelay: number(options.reconnectDelay, 5),
+      maxReconnectDelay: number(options.maxReconnectDelay, 60),
+      tls: { rejectUnauthorized: true, ...options.tls }
+    };
+  }
+
+  // MQTT connection options shared by the import and discovery clients
+  function buildMQTTOptions(connection, clientId = connection.clientId) {
+    const settings = connection.options;
+    const mqttOptions = {
+      clientId: clientId,
+      protocolVersion: settings.protocolVersion,
+      clean: settings.cleanSession,
+      resubscribe: false,
+      reconnectPeriod: settings.reconnectDelay * 1000,
+      connectTimeout: settings.connectTimeout * 1000,
+      keepalive: settings.keepalive
+    };
+
+    if (connection.username && connection.password) {
+      mqttOptions.username = connection.username;
+      mqttOptions.password = connection.password;
     }
 
-    // Get all unique topics from enabled import rules
-    const topics = new Set();
-    importRules.filter(rule => rule.enabled).forEach(rule => {
-      let topic = rule.mqttTopic;
-      
-      // Add topic prefix if configured
-      if (plugin.config.topicPrefix) {
-        topic = `${plugin.config.topicPrefix}/${topic}`;
+    // MQTT 5 connect properties
+    if (settings.protocolVersion === 5) {
+      const properties = {};
+      if (settings.sessionExpiryInterval !== null) {
+        properties.sessionExpiryInterval = settings.sessionExpiryInterval;
       }
-      
-      // Handle vessels/self/* topics by converting to actual URN format
-      if (topic.includes('vessels/self/') && selfVesselUrn) {
-        // Convert vessels/self/* to actual URN format for MQTT subscription
-        const urnTopic = topic.replace('vessels/self/', `vessels/${selfVesselUrn}/`);
-        topics.add(urnTopic);
-        app.debug(`Converted vessels/self rule to URN topic: ${urnTopic}`);
-        // Also add underscore format if URN contains colons
-        if (selfVesselUrn.includes(':')) {
-          const underscoreUrn = urnToMqttFormat(selfVesselUrn);
-          const underscoreTopic = topic.replace('vessels/self/', `vessels/${underscoreUrn}/`);
-          topics.add(underscoreTopic);
-          app.debug(`Also added underscore format: ${underscoreTopic}`);
-        }
-      } else {
-        // Add both underscore and colon formats for URN topics
-        topics.add(topic);
-        if (topic.includes('urn_mrn_imo_mmsi_')) {
-          topics.add(topic.replace(/urn_mrn_imo_mmsi_/g, 'urn:mrn:imo:mmsi:'));
-        }
+      if (settings.userProperties.length > 0) {
+        properties.userProperties = {};
+        settings.userProperties.forEach(p => {
+          properties.userProperties[p.name] = p.value ?? '';
+        });
+      }
+      if (Object.keys(properties).length > 0) {
+        mqttOptions.properties = properties;
+      }
+    }
+
+    return { ...mqttOptions, ...loadTLSOptions(settings.tls) };
+  }
+
+  // TLS options for mqtts:// and wss://, reading certificate files from the data dir
+  function loadTLSOptions(tls) {
+    const options = { rejectUnauthorized: tls.rejectUnauthorized !== false };
+    const read = (file, label) => {
+      const filePath = path.resolve(app.getDataDirPath(), file);
+      try {
+        return fs.readFileSync(filePath);
+      } catch (error) {
+        throw new Error(`Cannot read TLS ${label} ${filePath}: ${error.message}`);
       }
+    };
+
+    if (tls.caFile) options.ca = read(tls.caFile, 'CA certificate');
+    if (tls.certFile) options.cert = read(tls.certFile, 'client certificate');
+    if (tls.keyFile) options.key = read(tls.keyFile, 'client key');
+    if (tls.keyPassphrase) options.passphrase = tls.keyPassphrase;
+    if (tls.servername) options.servername = tls.servername;
+    if (Boolean(options.cert) !== Boolean(options.key)) {
+      throw new Error('TLS client certificate and key must be configured together');
+    }
+
+    return options;
+  }
+
+  // Topic filters (with the connection's prefix) and QoS the enabled rules need on a
+  // connection; a filter shared by several rules uses the highest QoS any of them asks for
+  function getWantedSubscriptions(connection) {
+    const wanted = new Map();
+    if (plugin.config.deviceDiscovery) {
+      // Discovery topics are absolute, without the connection's topic prefix
+      const prefix = plugin.config.deviceDiscoveryPrefix;
+      wanted.set(`${prefix}/+/+/config`, 1);
+      wanted.set(`${prefix}/+/+/+/config`, 1);
+    }
+    importRules.filter(rule => rule.enabled && ruleUsesConnection(rule, connection)).forEach(rule => {
+      const qos = rule.qos ?? DEFAULT_RULE_QOS;
+      expandRuleTopicFilters(rule).forEach(topic => {
+        const filter = toSubscriptionFilter(connection.topicPrefix ? `${connection.topicPrefix}/${topic}` : topic);
+        wanted.set(filter, Math.max(wanted.get(filter) ?? 0, qos));
+      });
     });
+    return wanted;
+  }
+
+  // Bring the broker subscriptions in line with the import rules: unsubscribe filters no
+  // rule needs any more and subscribe new filters or filters whose QoS changed
+  function subscribeToMQTTTopics(connection) {
+    const client = connection.client;
+    if (!client || !client.connected) {
+      return;
+    }
+
+    const wanted = getWantedSubscriptions(connection);
+    const removed = Array.from(connection.subscriptions.keys()).filter(filter => !wanted.has(filter));
+    const added = Array.from(wanted.entries()).filter(([filter, qos]) => connection.subscriptions.get(filter) !== qos);
+
+    if (removed.length > 0) {
+      removed.forEach(filter => connection.subscriptions.delete(filter));
+      client.unsubscribe(removed, (err) => {
+        if (err) {
+          app.debug(`❌ Failed to unsubscribe from ${removed.join(', ')}: ${err.message}`);
+        } else {
+          app.debug(`🔕 Unsubscribed from ${removed.length} MQTT topics on "${connection.name}"`);
+        }
+      });
+    }
 
-    // Subscribe to all topics
-    app.debug(`📡 Subscribing to ${topics.size} MQTT topics...`);
-    topics.forEach(topic => {
-      mqttClient.subscribe(topic, { qos: 1 }, (err) => {
+    added.forEach(([filter, qos]) => {
+      connection.subscriptions.set(filter, qos);
+      client.subscribe(filter, { qos: qos }, (err, granted) => {
         if (err) {
-          app.debug(`❌ Failed to subscribe to ${topic}: ${err.message}`);
+          connection.subscriptions.delete(filter);
+          saveSessionSubscriptions(connection);
+          app.debug(`❌ Failed to subscribe to ${filter}: ${err.message}`);
+        } else if (granted && granted[0] && granted[0].qos === 128) {
+          connection.subscriptions.delete(filter);
+          saveSessionSubscriptions(connection);
+          app.debug(`❌ Broker refused subscription to ${filter}`);
         } else {
-          app.debug(`✅ Subscribed to MQTT topic: ${topic}`);
+          app.debug(`✅ Subscribed to MQTT topic: ${filter} (QoS ${qos})`);
         }
       });
     });
 
-    app.debug(`Subscribed to ${topics.size} MQTT topics`);
+    if (removed.length > 0 || added.length > 0) {
+      saveSessionSubscriptions(connection);
+    }
+    app.debug(`MQTT subscriptions on "${connection.name}": ${wanted.size} topics (${added.length} added, ${removed.length} removed)`);
+  }
+
+  // Subscriptions of persistent sessions, kept in the data dir so that a session resumed
+  // after a plugin restart can drop filters the rules stopped using in the meantime
+  function getSessionSubscriptionsFilePath() {
+    return path.join(app.getDataDirPath(), 'mqtt-import-subscriptions.json');
   }
 
-  // Handle incoming MQTT messages
-  function handleMQTTMessage(topic, message) {
+  function readSessionSubscriptions() {
     try {
-      const messageStr = message.toString();
-      
-      // Debug: Log incoming message
-      app.debug(`📥 Received MQTT message on topic: ${topic}`);
-      
-      // Find matching import rule (that doesn't exclude this MMSI)
-      let rule = null;
-      for (const r of importRules) {
-        if (!r.enabled) return false;
-        
-        let expectedTopic = r.mqttTopic;
-        if (plugin.config.topicPrefix) {
-          expectedTopic = `${plugin.config.topicPrefix}/${expectedTopic}`;
-        }
-        
-        // Debug: Log rule matching attempt
-        app.debug(`🔍 Checking rule "${r.name}" with pattern: ${expectedTopic}`);
-        
-        // First check if topic matches the pattern
-        let matches = false;
-        
-        // Support wildcard matching with URN format flexibility
-        if (expectedTopic.includes('#')) {
-          const prefix = expectedTopic.replace('#', '');
-          
-          // Handle vessels/self/* patterns
-          if (prefix.includes('vessels/self/') && selfVesselUrn) {
-            const urnPrefix = prefix.replace('vessels/self/', `vessels/${selfVesselUrn}/`);
-            const underscoreUrn = urnToMqttFormat(selfVesselUrn);
-            const underscorePrefix = underscoreUrn ? prefix.replace('vessels/self/', `vessels/${underscoreUrn}/`) : null;
-            matches = topic.startsWith(prefix) || topic.startsWith(urnPrefix) || 
-                     (underscorePrefix && topic.startsWith(underscorePrefix));
-            app.debug(`🔍 vessels/self matching: ${matches} (tried: ${prefix}, ${urnPrefix}, ${underscorePrefix})`);
-          } else {
-            matches = topic.startsWith(prefix) || topic.startsWith(prefix.replace(/_/g, ':'));
-          }
-        } else if (expectedTopic.includes('+')) {
-          // Handle vessels/self/* patterns
-          if (expectedTopic.includes('vessels/self/') && selfVesselUrn) {
-            const urnPattern = expectedTopic.replace('vessels/self/', `vessels/${selfVesselUrn}/`);
-            const underscoreUrn = urnToMqttFormat(selfVesselUrn);
-            const underscorePattern = underscoreUrn ? expectedTopic.replace('vessels/self/', `vessels/${underscoreUrn}/`) : null;
-            const selfRegex = new RegExp(expectedTopic.replace(/\+/g, '[^/]+'));
-            const urnRegex = new RegExp(urnPattern.replace(/\+/g, '[^/]+'));
-            const underscoreRegex = underscorePattern ? new RegExp(underscorePattern.replace(/\+/g, '[^/]+')) : null;
-            matches = selfRegex.test(topic) || urnRegex.test(topic) || 
-                     (underscoreRegex && underscoreRegex.test(topic));
-          } else {
-            // Create regex patterns for both underscore and colon formats
-            const underscoreRegex = new RegExp(expectedTopic.replace(/\+/g, '[^/]+'));
-            const colonRegex = new RegExp(expectedTopic.replace(/_/g, ':').replace(/\+/g, '[^/]+'));
-            matches = underscoreRegex.test(topic) || colonRegex.test(topic);
+      const filePath = getSessionSubscriptionsFilePath();
+      if (fs.existsSync(filePath)) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      }
+    } catch (error) {
+      app.debug(`Error loading session subscriptions: ${error.message}`);
+    }
+    return {};
+  }
+
+  // Only a session of the same broker and client id holds the saved subscriptions
+  function loadSessionSubscriptions(connection) {
+    const saved = readSessionSubscriptions()[connection.id];
+    if (!saved || saved.url !== connection.url || saved.clientId !== connection.clientId) {
+      return new Map();
+    }
+    return new Map(Object.entries(saved.filters || {}));
+  }
+
+  function saveSessionSubscriptions(connection) {
+    if (connection.options.cleanSession) return;
+    const sessions = readSessionSubscriptions();
+    sessions[connection.id] = {
+      url: connection.url,
+      clientId: connection.clientId,
+      filters: Object.fromEntries(connection.subscriptions)
+    };
+    try {
+      fs.writeFileSync(getSessionSubscriptionsFilePath(), JSON.stringify(sessions, null, 2));
+    } catch (error) {
+      app.debug(`Error saving session subscriptions: ${error.message}`);
+    }
+  }
+
+  // Expand a rule's topic into every filter it should subscribe and match on:
+  // vessels/self as the self vessel's URN in both colon and underscore form, and
+  // urn_... levels in their colon form (connection topic prefixes are added when
+  // subscribing and removed from received topics)
+  function expandRuleTopicFilters(rule) {
+    const topic = getRuleTopicFilter(rule);
+
+    const filters = new Set([topic]);
+
+    // Handle vessels/self/* topics by converting to actual URN format
+    if (topic.includes('vessels/self/') && selfVesselUrn) {
+      filters.add(topic.replace('vessels/self/', `vessels/${selfVesselUrn}/`));
+      // Also add underscore format if URN contains colons
+      if (selfVesselUrn.includes(':')) {
+        filters.add(topic.replace('vessels/self/', `vessels/${urnToMqttFormat(selfVesselUrn)}/`));
+      }
+    }
+
+    // Add colon format for underscore URN levels
+    Array.from(filters).forEach(filter => {
+      const colonFilter = filter.split('/').map(level => (level.startsWith('urn_') ? mqttFormatToUrn(level) : level)).join('/');
+      filters.add(colonFilter);
+    });
+
+    return Array.from(filters);
+  }
+
+  // Levels such as urn_mrn_imo_mmsi_+ are not valid MQTT filters, so they are
+  // subscribed as + and narrowed down again by the topic matcher
+  function isPartialWildcardLevel(level) {
+    return level !== '+' && level.includes('+');
+  }
+
+  // Valid MQTT subscription filter: + and # only as whole levels, # only last
+  function isValidTopicFilter(filter) {
+    if (typeof filter !== 'string' || filter.length === 0) return false;
+    const levels = filter.split('/');
+    return levels.every((level, index) => {
+      if (level === '#') return index === levels.length - 1;
+      return level === '+' || (!level.includes('+') && !level.includes('#'));
+    });
+  }
+
+  function toSubscriptionFilter(filter) {
+    return filter.split('/').map(level => (isPartialWildcardLevel(level) ? '+' : level)).join('/');
+  }
+
+  // Build the topic matcher from the enabled rules
+  function rebuildTopicMatcher() {
+    topicMatcher = buildTopicMatcher(importRules);
+    app.debug(`Topic matcher rebuilt for ${importRules.filter(rule => rule.enabled).length} enabled rules`);
+  }
+
+  // Each node of the trie holds literal children, a + child, partial wildcard level
+  // patterns, the rules whose filter ends with # at that node and the rules whose
+  // filter ends exactly at that node
+  function buildTopicMatcher(rules) {
+    const root = createTopicNode();
+
+    rules.forEach((rule, index) => {
+      if (!rule.enabled) return;
+
+      expandRuleTopicFilters(rule).forEach(filter => {
+        let node = root;
+        const levels = filter.split('/');
+        for (let i = 0; i < levels.length; i++) {
+          const level = levels[i];
+          if (level === '#') {
+            node.multiLevel.push(index);
+            return;
           }
-        } else {
-          // Handle vessels/self/* patterns
-          if (expectedTopic.includes('vessels/self/') && selfVesselUrn) {
-            const urnTopic = expectedTopic.replace('vessels/self/', `vessels/${selfVesselUrn}/`);
-            const underscoreUrn = urnToMqttFormat(selfVesselUrn);
-            const underscoreTopic = underscoreUrn ? expectedTopic.replace('vessels/self/', `vessels/${underscoreUrn}/`) : null;
-            matches = topic === expectedTopic || topic === urnTopic || 
-                     (underscoreTopic && topic === underscoreTopic);
+          if (level === '+') {
+            node.singleLevel = node.singleLevel || createTopicNode();
+            node = node.singleLevel;
+          } else if (isPartialWildcardLevel(level)) {
+            let pattern = node.patterns.find(p => p.level === level);
+            if (!pattern) {
+              const source = level.split('+').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+              pattern = { level: level, regex: new RegExp(`^${source}$`), node: createTopicNode() };
+              node.patterns.push(pattern);
+            }
+            node = pattern.node;
           } else {
-            matches = topic === expectedTopic || topic === expectedTopic.replace(/_/g, ':');
+            if (!node.children.has(level)) {
+              node.children.set(level, createTopicNode());
+            }
+            node = node.children.get(level);
           }
         }
-        
-        // If topic matches, check if MMSI should be excluded
-        if (matches && isMMSIExcluded(topic, r)) {
-          const mmsi = extractMMSIFromUrn(topic.split('/')[1]);
-          app.debug(`🔍 Rule "${r.name}" matches but MMSI ${mmsi} is excluded - continuing search`);
-          continue; // Continue looking for other rules
-        }
-        
-        // If this rule matches and doesn't exclude, use it
-        if (matches) {
-          rule = r;
-          break;
+        node.exact.push(index);
+      });
+    });
+
+    return { root: root, rules: rules };
+  }
+
+  function createTopicNode() {
+    return { children: new Map(), singleLevel: null, patterns: [], multiLevel: [], exact: [] };
+  }
+
+  // Enabled rules whose topic filter matches the topic, in rule order
+  function matchTopicRules(topic, matcher = topicMatcher) {
+    if (!matcher) return [];
+
+    const matched = new Set();
+    const levels = topic.split('/');
+    // Wildcards never match topics starting with $ at the first level (e.g. $SYS)
+    const systemTopic = levels[0].startsWith('$');
+
+    const walk = (node, depth) => {
+      if (node.multiLevel.length > 0 && !(depth === 0 && systemTopic)) {
+        node.multiLevel.forEach(index => matched.add(index));
+      }
+      if (depth === levels.length) {
+        node.exact.forEach(index => matched.add(index));
+        return;
+      }
+      const child = node.children.get(levels[depth]);
+      if (child) {
+        walk(child, depth + 1);
+      }
+      if (depth === 0 && systemTopic) {
+        return;
+      }
+      if (node.singleLevel) {
+        walk(node.singleLevel, depth + 1);
+      }
+      node.patterns.forEach(pattern => {
+        if (pattern.regex.test(levels[depth])) {
+          walk(pattern.node, depth + 1);
         }
+      });
+    };
+    walk(matcher.root, 0);
+
+    return Array.from(matched).sort((a, b) => a - b).map(index => matcher.rules[index]);
+  }
+
+  // Handle incoming MQTT messages
+  function handleMQTTMessage(connection, receivedTopic, message, packet) {
+    const topic = stripTopicPrefix(receivedTopic, connection);
+    try {
+      const messageStr = message.toString();
+      const topicMetrics = getTopicMetrics(topic);
+      countMessage(metrics.totals, message.length);
+      countMessage(topicMetrics, message.length);
+      connection.stats.received++;
+      connection.stats.bytes += message.length;
+      
+      // Debug: Log incoming message
+      app.debug(`📥 Received MQTT message on topic: ${topic}`);
+
+      // Drop messages this server published itself
+      if (hasOwnOriginMarker(messageStr, packet)) {
+        countSuppressedLoop('origin');
+        app.debug(`🔁 Dropped message on ${topic} carrying our own origin marker`);
+        return;
       }
 
-      if (!rule) {
-        app.debug(`❌ No import rule found for topic: ${topic}`);
+      if (isDeviceDiscoveryTopic(receivedTopic)) {
+        handleDeviceDiscovery(connection, receivedTopic, messageStr);
         return;
       }
       
-      app.debug(`✅ Rule matched: "${rule.name}" for topic: ${topic}`);
-
-      // Check for duplicate messages if enabled
-      if (rule.ignoreDuplicates) {
-        const messageKey = `${topic}:${messageStr}`;
-        if (lastReceivedMessages.has(messageKey)) {
-          return; // Skip duplicate message
+      // Process the message with every matching rule, in rule order, until a
+      // rule that stops matching has handled it
+      let matchedRules = 0;
+      let excludingRules = 0;
+      for (const rule of matchTopicRules(topic).filter(r => ruleUsesConnection(r, connection))) {
+        // If topic matches, check if MMSI should be excluded
+        if (isMMSIExcluded(topic, rule)) {
+          const mmsi = extractMMSIFromUrn(topic.split('/')[1]);
+          app.debug(`🔍 Rule "${rule.name}" matches but MMSI ${mmsi} is excluded - continuing search`);
+          getRuleMetrics(rule).excluded++;
+          excludingRules++;
+          continue; // Continue looking for other rules
         }
-        lastReceivedMessages.set(messageKey, Date.now());
-        
-        // Clean up old messages (keep last 1000 messages)
-        if (lastReceivedMessages.size > 1000) {
-          const entries = Array.from(lastReceivedMessages.entries());
-          const oldest = entries.slice(0, 500);
-          oldest.forEach(([key]) => lastReceivedMessages.delete(key));
+
+        matchedRules++;
+        countMessage(getRuleMetrics(rule), message.length);
+        if (packet && packet.retain && rule.retainedMessages === 'ignore') {
+          // Retained messages can be hours old, e.g. a position from before the last trip
+          app.debug(`⏭️ Rule "${rule.name}" ignores retained message on ${topic}`);
+          getRuleMetrics(rule).retainedIgnored++;
+        } else {
+          app.debug(`✅ Rule matched: "${rule.name}" for topic: ${topic}`);
+          processMessageWithRule(topic, messageStr, rule, connection, message);
         }
-      }
 
-      // Parse the message based on expected format
-      let signalKData;
-      if (rule.payloadFormat === 'value-only') {
-        signalKData = parseValueOnlyMessage(messageStr, rule, topic);
-      } else {
-        signalKData = parseFullSignalKMessage(messageStr, rule, topic);
+        if (!rule.continueMatching) {
+          break;
+        }
       }
 
-      if (signalKData) {
-        sendToSignalK(signalKData, rule);
-        app.debug(`📤 Successfully processed message for topic: ${topic}`);
+      if (matchedRules > 0) {
+        metrics.totals.matched++;
+        topicMetrics.matched++;
+      } else if (excludingRules > 0) {
+        // Every matching rule excludes the MMSI on purpose, e.g. our own vessel on an AIS feed
+        metrics.totals.excluded++;
       } else {
-        app.debug(`⚠️ Failed to parse message for topic: ${topic}`);
+        app.debug(`❌ No import rule found for topic: ${topic}`);
+        metrics.totals.unmatched++;
+        topicMetrics.unmatched++;
+        recordDeadLetter(topic, messageStr, 'no-matching-rule', 'No enabled rule imports this topic', null, connection);
       }
 
     } catch (error) {
       app.debug(`Error handling MQTT message from ${topic}: ${error.message}`);
+      recordDeadLetter(topic, String(message), 'error', error.message, null, connection);
     }
   }
 
-  // Parse value-only message format
-  function parseValueOnlyMessage(messageStr, rule, topic) {
-    try {
-      let value;
-      
-      // Try to parse as JSON first
-      try {
-        value = JSON.parse(messageStr);
-      } catch {
-        // If not JSON, treat as string/number
-        value = isNaN(messageStr) ? messageStr : Number(messageStr);
+  // Import a message according to a single matched rule
+  function processMessageWithRule(topic, messageStr, rule, connection, message) {
+    const result = buildImportDelta(topic, messageStr, rule, connection, message);
+
+    if (result.delta) {
+      trackVesselPosition(result.delta);
+      if (rule.geoFilter) {
+        const area = checkGeoFilter(result.delta, rule);
+        updateGeoArea(rule, result.delta.context, area.inside);
+        if (!area.inside) {
+          // Outside the area on purpose, like an excluded MMSI, so not a dead letter
+          getRuleMetrics(rule).outsideArea++;
+          app.debug(`🌍 ${result.delta.context} dropped by rule "${rule.name}": ${area.reason}`);
+          return;
+        }
+      }
+      // Before throttling, so a device repeating its unchanged state still confirms a PUT
+      confirmPendingCommands(result.delta);
+      if (rule.command) {
+        registerCommandTargets(rule, result.delta, topic, connection);
       }
+      // Also before throttling: a steady reading held back by a deadband is still live data
+      recordImportActivity(rule, result.delta);
+      sendToSignalK(result.delta, rule, topic, messageStr, connection);
+      app.debug(`📤 Successfully processed message for topic: ${topic} with rule "${rule.name}"`);
+    } else {
+      app.debug(`⚠️ ${result.error} for topic: ${topic} with rule "${rule.name}"`);
+      // Echoes are dropped on purpose and already counted as suppressed loops
+      if (result.reason !== 'echo') {
+        const payload = rule.payloadFormat === 'binary' ? message.toString('hex') : messageStr;
+        recordDeadLetter(topic, payload, result.reason, result.error, rule, connection);
+      }
+    }
+  }
 
-      // Extract context and path from topic or rule configuration
-      const context = rule.signalKContext || extractContextFromTopic(topic, rule);
-      const path = rule.signalKPath || extractPathFromTopic(topic, rule);
+  // Turn a message into the delta a rule would import, before throttling
+  // Returns { delta } or { reason, error } describing the step that dropped the message
+  function buildImportDelta(topic, messageStr, rule, connection, message = Buffer.from(messageStr)) {
+    // Parse the message based on expected format
+    let signalKData;
+    if (rule.payloadFormat === 'value-only') {
+      signalKData = parseValueOnlyMessage(messageStr, rule, topic);
+    } else if (rule.payloadFormat === 'fields') {
+      signalKData = parseFieldMappedMessage(messageStr, rule, topic);
+    } else if (rule.payloadFormat === 'nmea0183') {
+      signalKData = parseNMEA0183Message(messageStr, rule, topic);
+    } else if (rule.payloadFormat === 'delimited') {
+      signalKData = parseDelimitedMessage(messageStr, rule, topic);
+    } else if (rule.payloadFormat === 'binary') {
+      signalKData = parseBinaryMessage(message, rule, topic);
+    } else {
+      signalKData = parseFullSignalKMessage(messageStr, rule, topic);
+    }
+    if (!signalKData) {
+      return { reason: 'parse-failed', error: `Payload could not be parsed as ${rule.payloadFormat || 'full'}` };
+    }
 
-      return {
-        context: context,
-        updates: [{
-          source: {
-            label: rule.sourceLabel || '',
-            type: 'mqtt'
-          },
-          timestamp: new Date().toISOString(),
-          values: [{
-            path: path,
-            value: value
-          }]
-        }]
-      };
-    } catch (error) {
-      app.debug(`Error parsing value-only message: ${error.message}`);
-      return null;
+    // Validate the data structure
+    if (!signalKData.context || !signalKData.updates || !Array.isArray(signalKData.updates)) {
+      return { reason: 'invalid-delta', error: 'Invalid SignalK data structure' };
+    }
+    signalKData.updates = signalKData.updates.filter(update =>
+      !Array.isArray(update.values) || update.values.length > 0 || Array.isArray(update.meta));
+    if (signalKData.updates.length === 0) {
+      return signalKData.echo
+        ? { reason: 'echo', error: 'Payload only contained data exported by this server' }
+        : { reason: 'invalid-delta', error: 'Delta has no values' };
+    }
+
+    signalKData = applyTimestampAndSourcePolicy(signalKData, rule, topic, connection);
+    if (!signalKData) {
+      return { reason: 'timestamp-rejected', error: 'All updates rejected by the timestamp policy' };
+    }
+
+    // Rewrite the context and refuse writes to our own vessel unless allowed
+    const context = remapContext(signalKData.context, rule);
+    if (!context) {
+      return { reason: 'context-not-allowed', error: `Rule is not allowed to write to ${signalKData.context}` };
+    }
+    signalKData.context = context;
+
+    // Apply the rule's transform pipeline to every value
+    if (Array.isArray(rule.transforms) && rule.transforms.length > 0) {
+      signalKData.updates.forEach(update => {
+        if (!Array.isArray(update.values)) return;
+        update.values = update.values.filter(valueUpdate => {
+          try {
+            valueUpdate.value = applyTransforms(valueUpdate.value, rule.transforms, { path: valueUpdate.path });
+            return valueUpdate.value !== undefined;
+          } catch (error) {
+            app.debug(`Transform failed for ${valueUpdate.path} in rule "${rule.name}": ${error.message}`);
+            return false;
+          }
+        });
+      });
+      signalKData.updates = signalKData.updates.filter(update =>
+        !Array.isArray(update.values) || update.values.length > 0 || Array.isArray(update.meta));
+      if (signalKData.updates.length === 0) {
+        return { reason: 'transform-failed', error: 'No values left after transforms' };
+      }
     }
+
+    return { delta: signalKData };
   }
 
-  // Parse full SignalK message format
-  function parseFullSignalKMessage(messageStr, rule, topic) {
+  // Run a message received on a connection through matching and import rules without
+  // sending anything to SignalK, reporting for every rule whether it matched and, if not, why
+  function dryRunMessage(receivedTopic, messageStr, rules, connection, retained = false, message = Buffer.from(messageStr)) {
+    const topic = stripTopicPrefix(receivedTopic, connection);
+    const matcher = rules === importRules ? topicMatcher : buildTopicMatcher(rules);
+    const result = { topic: topic, broker: connection.id, matchedRule: null, dropped: null, rules: [] };
+
+    if (hasOwnOriginMarker(messageStr, null)) {
+      result.dropped = 'Message carries this server\'s own origin marker';
+      return result;
+    }
+
+    // Echo suppression counts what it removes; a dry run shouldn't show up in the stats
+    const suppressedCounts = { ...loopsSuppressed };
+    const matched = new Set(matchTopicRules(topic, matcher));
+    let stoppedBy = null;
+
+    try {
+      rules.forEach(rule => {
+        const entry = { id: rule.id, name: rule.name, status: null };
+
+        if (!rule.enabled) {
+          entry.status = 'disabled';
+          entry.reason = 'Rule is disabled';
+        } else if (!ruleUsesConnection(rule, connection)) {
+          entry.status = 'other-broker';
+          entry.reason = `Rule does not subscribe on broker "${connection.id}"`;
+        } else if (!matched.has(rule)) {
+          entry.status = 'no-match';
+          entry.reason = `Topic does not match ${expandRuleTopicFilters(rule).join(', ')}`;
+        } else if (stoppedBy) {
+          entry.status = 'skipped';
+          entry.reason = `Rule "${stoppedBy.name}" matched first and does not continue matching`;
+        } else if (isMMSIExcluded(topic, rule)) {
+          entry.status = 'excluded';
+          entry.reason = `MMSI ${extractMMSIFromUrn(topic.split('/')[1])} is excluded`;
+        } else if (retained && rule.retainedMessages === 'ignore') {
+          entry.status = 'retained-ignored';
+          entry.reason = 'Rule ignores retained messages';
+          if (!rule.continueMatching) {
+            stoppedBy = rule;
+          }
+        } else {
+          const built = buildImportDelta(topic, messageStr, rule, connection, message);
+          const area = built.delta && rule.geoFilter ? checkGeoFilter(built.delta, rule) : { inside: true };
+          if (!area.inside) {
+            entry.status = 'outside-area';
+            entry.reason = area.reason;
+          } else if (built.delta) {
+            entry.status = 'matched';
+            entry.delta = built.delta;
+            // Throttling depends on earlier messages, so it is reported rather than applied
+            entry.publishFilters = hasPublishFilters(rule);
+            result.matchedRule = result.matchedRule || rule.id;
+          } else {
+            entry.status = 'failed';
+            entry.reason = built.error;
+          }
+          if (!rule.continueMatching) {
+            stoppedBy = rule;
+          }
+        }
+
+        result.rules.push(entry);
+      });
+    } finally {
+      loopsSuppressed = suppressedCounts;
+    }
+
+    return result;
+  }
+
+  // Dead letters
+  // The most recent messages that could not be imported are kept in a bounded buffer
+  // with counts by reason, and optionally written to the data dir for post-mortems
+  function recordDeadLetter(topic, messageStr, reason, detail, rule, connection) {
+    deadLetterCounts[reason] = (deadLetterCounts[reason] || 0) + 1;
+    if (rule) {
+      getRuleMetrics(rule)[reason === 'parse-failed' ? 'parseErrors' : 'rejected']++;
+    }
+    if (!(plugin.config.deadLetterSize > 0)) return;
+
+    deadLetters.push({
+      timestamp: new Date().toISOString(),
+      topic: topic,
+      broker: connection ? connection.id : null,
+      reason: reason,
+      detail: detail,
+      ruleId: rule ? rule.id : null,
+      ruleName: rule ? rule.name : null,
+      payloadSize: messageStr.length,
+      payload: messageStr.slice(0, DEAD_LETTER_PAYLOAD_EXCERPT)
+    });
+    if (deadLetters.length > plugin.config.deadLetterSize) {
+      deadLetters.splice(0, deadLetters.length - plugin.config.deadLetterSize);
+    }
+
+    if (plugin.config.persistDeadLetters && !deadLetterSaveTimer) {
+      deadLetterSaveTimer = setTimeout(() => {
+        deadLetterSaveTimer = null;
+        saveDeadLetters();
+      }, DEAD_LETTER_SAVE_DELAY);
+    }
+  }
+
+  function clearDeadLetters() {
+    deadLetters = [];
+    deadLetterCounts = {};
+    if (plugin.config.persistDeadLetters) {
+      saveDeadLetters();
+    }
+  }
+
+  function getDeadLettersFilePath() {
+    return path.join(app.getDataDirPath(), 'mqtt-import-dead-letters.json');
+  }
+
+  function loadDeadLetters(config) {
+    deadLetters = [];
+    deadLetterCounts = {};
+    if (!config.persistDeadLetters) return;
+
+    try {
+      const filePath = getDeadLettersFilePath();
+      if (fs.existsSync(filePath)) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        deadLetters = Array.isArray(data.deadLetters) ? data.deadLetters.slice(-config.deadLetterSize) : [];
+        deadLetterCounts = data.counts || {};
+        app.debug(`Loaded ${deadLetters.length} dead letters from ${filePath}`);
+      }
+    } catch (error) {
+      app.debug(`Error loading dead letters: ${error.message}`);
+    }
+  }
+
+  function saveDeadLetters() {
+    if (!plugin.config.persistDeadLetters) return;
+    try {
+      fs.writeFileSync(getDeadLettersFilePath(), JSON.stringify({ counts: deadLetterCounts, deadLetters: deadLetters }, null, 2));
+    } catch (error) {
+      app.debug(`Error saving dead letters: ${error.message}`);
+    }
+  }
+
+  // Metrics
+  // Counters since plugin start for all messages, per rule and per top-level topic.
+  // A rule counts messages it matched (after MMSI exclusion), deltas it imported,
+  // values dropped by throttling/deduplication, parse errors and other rejections.
+  function createMetrics() {
+    return {
+      since: Date.now(),
+      totals: { ...createMessageCounters(), matched: 0, unmatched: 0, excluded: 0, imported: 0 },
+      batching: { deltasQueued: 0, deltasSent: 0, valuesQueued: 0, valuesCoalesced: 0, flushes: 0, sizeFlushes: 0 },
+      rules: new Map(),
+      topics: new Map()
+    };
+  }
+
+  function createMessageCounters() {
+    return { received: 0, bytes: 0, lastReceived: null, rate: 0, rateBaseline: 0 };
+  }
+
+  function getRuleMetrics(rule) {
+    let counters = metrics.rules.get(rule.id);
+    if (!counters) {
+      counters = {
+        ...createMessageCounters(),
+        excluded: 0, retainedIgnored: 0, outsideArea: 0, imported: 0, deduplicated: 0, parseErrors: 0, rejected: 0
+      };
+      metrics.rules.set(rule.id, counters);
+    }
+    return counters;
+  }
+
+  function getTopicMetrics(topic) {
+    let level = topic.split('/')[0];
+    if (!metrics.topics.has(level) && metrics.topics.size >= METRICS_MAX_TOPICS) {
+      level = '(other)';
+    }
+    let counters = metrics.topics.get(level);
+    if (!counters) {
+      counters = { ...createMessageCounters(), matched: 0, unmatched: 0 };
+      metrics.topics.set(level, counters);
+    }
+    return counters;
+  }
+
+  function countMessage(counters, bytes) {
+    counters.received++;
+    counters.bytes += bytes;
+    counters.lastReceived = Date.now();
+  }
+
+  // Messages per second over the last rate interval
+  function updateMetricRates() {
+    const update = counters => {
+      counters.rate = (counters.received - counters.rateBaseline) / (METRICS_RATE_INTERVAL / 1000);
+      counters.rateBaseline = counters.received;
+    };
+    update(metrics.totals);
+    metrics.rules.forEach(update);
+    metrics.topics.forEach(update);
+  }
+
+  function describeCounters(counters) {
+    const { rateBaseline, ...rest } = counters;
+    return { ...rest, lastReceived: counters.lastReceived ? new Date(counters.lastReceived).toISOString() : null };
+  }
+
+  function getMetricsSnapshot() {
+    return {
+      since: new Date(metrics.since).toISOString(),
+      mqttConnected: isAnyConnectionUp(),
+      connections: Array.from(connections.values()).map(describeConnection),
+      totals: describeCounters(metrics.totals),
+      batching: describeBatching(),
+      // Only rules that still exist, in rule order
+      rules: importRules.map(rule => ({
+        id: rule.id,
+        name: rule.name,
+        enabled: rule.enabled,
+        ...describeCounters(getRuleMetrics(rule)),
+        vesselsInArea: rule.geoFilter ? (geoAreaContexts.get(rule.id) || new Set()).size : null
+      })),
+      topics: Array.from(metrics.topics.entries())
+        .map(([topic, counters]) => ({ topic: topic, ...describeCounters(counters) }))
+        .sort((a, b) => b.received - a.received)
+    };
+  }
+
+  // Metrics in the Prometheus text exposition format
+  function formatPrometheusMetrics() {
+    const lines = [];
+    const label = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    const seconds = time => (time ? time / 1000 : 0);
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP signalk_mqtt_import_${name} ${help}`);
+      lines.push(`# TYPE signalk_mqtt_import_${name} ${type}`);
+      samples.forEach(([labels, value]) => {
+        const labelText = Object.keys(labels).map(key => `${key}="${label(labels[key])}"`).join(',');
+        lines.push(`signalk_mqtt_import_${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+      });
+    };
+
+    const totals = metrics.totals;
+    const brokers = Array.from(connections.values()).map(describeConnection);
+    const brokerMetric = (name, type, help, field) =>
+      metric(`mqtt_${name}`, type, help, brokers.map(broker => [{ broker: broker.id }, Number(broker[field])]));
+    brokerMetric('connected', 'gauge', 'Whether the MQTT client is connected', 'connected');
+    brokerMetric('connects_total', 'counter', 'Successful MQTT connections', 'connects');
+    brokerMetric('reconnects_total', 'counter', 'MQTT reconnect attempts', 'reconnects');
+    brokerMetric('disconnects_total', 'counter', 'MQTT disconnections', 'disconnects');
+    brokerMetric('errors_total', 'counter', 'MQTT client errors', 'errors');
+    brokerMetric('messages_received_total', 'counter', 'MQTT messages received per broker', 'received');
+    brokerMetric('bytes_received_total', 'counter', 'MQTT payload bytes received per broker', 'bytes');
+    metric('messages_received_total', 'counter', 'MQTT messages received', [[{}, totals.received]]);
+    metric('bytes_received_total', 'counter', 'MQTT payload bytes received', [[{}, totals.bytes]]);
+    metric('messages_matched_total', 'counter', 'MQTT messages matched by at least one rule', [[{}, totals.matched]]);
+    metric('messages_unmatched_total', 'counter', 'MQTT messages no rule matched', [[{}, totals.unmatched]]);
+    metric('messages_excluded_total', 'counter', 'MQTT messages whose MMSI every matching rule excludes', [[{}, totals.excluded]]);
+    metric('deltas_imported_total', 'counter', 'Deltas sent to SignalK', [[{}, totals.imported]]);
+    metric('messages_per_second', 'gauge', 'MQTT messages received per second', [[{}, totals.rate]]);
+    metric('last_message_timestamp_seconds', 'gauge', 'Time the last MQTT message was received', [[{}, seconds(totals.lastReceived)]]);
+    const batching = describeBatching();
+    metric('batch_deltas_queued_total', 'counter', 'Imported deltas queued for batching', [[{}, batching.deltasQueued]]);
+    metric('batch_deltas_sent_total', 'counter', 'Batched deltas sent to SignalK', [[{}, batching.deltasSent]]);
+    metric('batch_values_coalesced_total', 'counter', 'Queued values replaced by a newer value for the same path', [[{}, batching.valuesCoalesced]]);
+    metric('batch_flushes_total', 'counter', 'Batches sent', [[{}, batching.flushes]]);
+    metric('batch_size_flushes_total', 'counter', 'Batches sent early because batchMaxValues was reached', [[{}, batching.sizeFlushes]]);
+    metric('batch_pending_values', 'gauge', 'Values waiting in the current batch', [[{}, batching.pendingValues]]);
+
+    const rules = importRules.map(rule => [{ rule: rule.id, name: rule.name || '' }, getRuleMetrics(rule)]);
+    const ruleMetric = (name, type, help, field, convert = value => value) =>
+      metric(`rule_${name}`, type, help, rules.map(([labels, counters]) => [labels, convert(counters[field])]));
+    ruleMetric('messages_matched_total', 'counter', 'Messages matched by the rule', 'received');
+    ruleMetric('bytes_matched_total', 'counter', 'Payload bytes matched by the rule', 'bytes');
+    ruleMetric('messages_excluded_total', 'counter', 'Messages skipped by the rule because of an excluded MMSI', 'excluded');
+    ruleMetric('retained_ignored_total', 'counter', 'Retained messages the rule ignored', 'retainedIgnored');
+    ruleMetric('messages_outside_area_total', 'counter', 'Messages dropped by the rule\'s geographic filter', 'outsideArea');
+    ruleMetric('deltas_imported_total', 'counter', 'Deltas the rule sent to SignalK', 'imported');
+    ruleMetric('values_deduplicated_total', 'counter', 'Values dropped by the rule\'s throttling, deadband and duplicate settings', 'deduplicated');
+    ruleMetric('parse_errors_total', 'counter', 'Messages the rule could not parse', 'parseErrors');
+    ruleMetric('messages_rejected_total', 'counter', 'Messages rejected by the rule for other reasons', 'rejected');
+    ruleMetric('messages_per_second', 'gauge', 'Messages matched by the rule per second', 'rate');
+    ruleMetric('last_message_timestamp_seconds', 'gauge', 'Time the rule last matched a message', 'lastReceived', seconds);
+    metric('rule_contexts_in_area', 'gauge', 'Vessels and other contexts inside the rule\'s geographic filter',
+      importRules.filter(rule => rule.geoFilter).map(rule => [
+        { rule: rule.id, name: rule.name || '' }, (geoAreaContexts.get(rule.id) || new Set()).size
+      ]));
+
+    const topics = Array.from(metrics.topics.entries());
+    const topicMetric = (name, type, help, field, convert = value => value) =>
+      metric(`topic_${name}`, type, help, topics.map(([topic, counters]) => [{ topic: topic }, convert(counters[field])]));
+    topicMetric('messages_received_total', 'counter', 'MQTT messages received per top-level topic', 'received');
+    topicMetric('bytes_received_total', 'counter', 'MQTT payload bytes received per top-level topic', 'bytes');
+    topicMetric('messages_matched_total', 'counter', 'MQTT messages matched by at least one rule per top-level topic', 'matched');
+    topicMetric('messages_unmatched_total', 'counter', 'MQTT messages no rule matched per top-level topic', 'unmatched');
+    topicMetric('messages_per_second', 'gauge', 'MQTT messages received per second per top-level topic', 'rate');
+    topicMetric('last_message_timestamp_seconds', 'gauge', 'Time a message was last received per top-level topic', 'lastReceived', seconds);
+
+    return lines.join('\n') + '\n';
+  }
+
+  // Timestamp taken from the payload's timestampField (ISO string, epoch seconds or ms)
+  function getPayloadTimestamp(payload, rule) {
+    if (!rule.timestampField || rule.timestampSource === 'receipt' || payload === null || typeof payload !== 'object') {
+      return null;
+    }
+    const field = resolveSelector(payload, rule.timestampField);
+    return field.found ? normalizeTimestamp(field.value) : null;
+  }
+
+  function normalizeTimestamp(timestamp) {
+    let date;
+    if (typeof timestamp === 'number' || (typeof timestamp === 'string' && /^\d+(\.\d+)?$/.test(timestamp))) {
+      const number = Number(timestamp);
+      // Values below 1e12 are epoch seconds, anything larger is milliseconds
+      date = new Date(number < 1e12 ? number * 1000 : number);
+    } else if (typeof timestamp === 'string') {
+      date = new Date(timestamp);
+    } else {
+      return null;
+    }
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  // Apply the rule's timestamp and source policy to every update
+  // timestampSource "receipt" always stamps the receipt time; timestamps further than
+  // maxFutureSkew seconds ahead or maxTimestampAge seconds behind are rejected or, with
+  // timestampCorrection "correct", replaced by the receipt time
+  function applyTimestampAndSourcePolicy(signalKData, rule, topic, connection) {
+    if (!Array.isArray(signalKData.updates)) return signalKData;
+
+    const now = Date.now();
+    const receiptTime = new Date(now).toISOString();
+
+    signalKData.updates = signalKData.updates.filter(update => {
+      if (rule.timestampSource === 'receipt' || !update.timestamp) {
+        update.timestamp = receiptTime;
+      } else {
+        const normalized = normalizeTimestamp(update.timestamp);
+        const time = normalized ? Date.parse(normalized) : NaN;
+        const tooNew = rule.maxFutureSkew > 0 && time - now > rule.maxFutureSkew * 1000;
+        const tooOld = rule.maxTimestampAge > 0 && now - time > rule.maxTimestampAge * 1000;
+
+        if (isNaN(time) || tooNew || tooOld) {
+          if (rule.timestampCorrection !== 'correct') {
+            app.debug(`🕒 Rejected update with timestamp ${update.timestamp} on ${topic} (rule "${rule.name}")`);
+            return false;
+          }
+          update.timestamp = receiptTime;
+        } else {
+          update.timestamp = normalized;
+        }
+      }
+
+      // Replace the publisher's source with the rule's
+      if (rule.sourcePolicy === 'override') {
+        delete update.$source;
+        update.source = {
+          label: renderTemplate(rule.sourceLabel || '', extractTopicCaptures(topic, rule)),
+          type: 'mqtt'
+        };
+      }
+
+      // Tell feeds apart in source priorities: $source becomes <label>.<topic>
+      if (rule.sourceIncludeTopic) {
+        if (!update.source) {
+          update.source = { label: update.$source || rule.sourceLabel || '', type: 'mqtt' };
+          delete update.$source;
+        }
+        update.source.src = topic;
+        update.source.topic = topic;
+        update.source.broker = getBrokerDisplayName(connection);
+      }
+      return true;
+    });
+
+    return signalKData.updates.length > 0 ? signalKData : null;
+  }
+
+  // Broker URL without credentials
+  function getBrokerDisplayName(connection) {
+    try {
+      const url = new URL(connection.url);
+      url.username = '';
+      url.password = '';
+      return url.toString().replace(/\/$/, '');
+    } catch {
+      return connection.url;
+    }
+  }
+
+  // Parse value-only message format
+  function parseValueOnlyMessage(messageStr, rule, topic) {
+    try {
+      let value;
+      
+      // Try to parse as JSON first
+      try {
+        value = JSON.parse(messageStr);
+      } catch {
+        // If not JSON, treat as string/number
+        value = isNaN(messageStr) ? messageStr : Number(messageStr);
+      }
+
+      // Extract context and path from topic or rule configuration
+      const captures = extractTopicCaptures(topic, rule);
+      const context = rule.signalKContext ? renderTemplate(rule.signalKContext, captures, '.') : extractContextFromTopic(topic, rule);
+      const path = rule.signalKPath ? renderTemplate(rule.signalKPath, captures, '.') : extractPathFromTopic(topic, rule);
+
+      return {
+        context: context,
+        updates: [{
+          source: {
+            label: renderTemplate(rule.sourceLabel || '', captures),
+            type: 'mqtt'
+          },
+          timestamp: getPayloadTimestamp(value, rule) || new Date().toISOString(),
+          values: [{
+            path: path,
+            value: value
+          }]
+        }]
+      };
+    } catch (error) {
+      app.debug(`Error parsing value-only message: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Parse full SignalK message format
+  function parseFullSignalKMessage(messageStr, rule, topic) {
     try {
       const parsed = JSON.parse(messageStr);
       
+      const captures = extractTopicCaptures(topic, rule);
+
       // If it's already a proper SignalK delta, use it directly
       if (parsed.context && parsed.updates) {
+        // Drop updates that this server exported itself; a delta that held
+        // nothing else is reported as an echo
+        if (removeEchoedUpdates(parsed)) {
+          return { context: parsed.context, updates: [], echo: true };
+        }
+        sanitizeDeltaMeta(parsed, topic);
+
+        // Optionally replace the context the publisher put in the delta
+        if (rule.forceContext && rule.signalKContext) {
+          parsed.context = renderTemplate(rule.signalKContext, captures, '.');
+        }
         return parsed;
       }
       
       // Otherwise, try to construct a SignalK delta
-      const context = rule.signalKContext || parsed.context || extractContextFromTopic(topic, rule);
-      const path = rule.signalKPath || extractPathFromTopic(topic, rule);
+      const context = rule.signalKContext ? renderTemplate(rule.signalKContext, captures, '.') : (parsed.context || extractContextFromTopic(topic, rule));
+      const path = rule.signalKPath ? renderTemplate(rule.signalKPath, captures, '.') : extractPathFromTopic(topic, rule);
       
       return {
         context: context,
         updates: [{
           source: {
-            label: rule.sourceLabel || '',
+            label: renderTemplate(rule.sourceLabel || '', captures),
             type: 'mqtt'
           },
-          timestamp: new Date().toISOString(),
+          timestamp: getPayloadTimestamp(parsed, rule) || new Date().toISOString(),
           values: [{
             path: path,
             value: parsed
@@ -359,155 +1521,2447 @@ module.exports = function(app) {
     }
   }
 
-  // Helper function to convert URN format for MQTT topics
-  function urnToMqttFormat(urn) {
-    if (!urn) return null;
-    // Convert urn:mrn:imo:mmsi:368396230 to urn_mrn_imo_mmsi_368396230
-    return urn.replace(/:/g, '_');
+  // Parse generic JSON payloads using the rule's field mappings
+  // e.g. {"temperature":21.3,"humidity":55} -> one delta with a value per mapped field
+  function parseFieldMappedMessage(messageStr, rule, topic) {
+    try {
+      const parsed = JSON.parse(messageStr);
+      const captures = extractTopicCaptures(topic, rule);
+      const values = mapFieldValues(rule, topic, captures, mapping => resolveSelector(parsed, mapping.selector));
+
+      if (values.length === 0) {
+        app.debug(`No mapped fields found in message on ${topic}`);
+        return null;
+      }
+
+      const context = rule.signalKContext ? renderTemplate(rule.signalKContext, captures, '.') : extractContextFromTopic(topic, rule);
+
+      return {
+        context: context,
+        updates: [{
+          source: {
+            label: renderTemplate(rule.sourceLabel || '', captures),
+            type: 'mqtt'
+          },
+          timestamp: getPayloadTimestamp(parsed, rule) || new Date().toISOString(),
+          values: values
+        }]
+      };
+    } catch (error) {
+      app.debug(`Error parsing field-mapped message: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Parse delimited text using the rule's field mappings, one update per line
+  // e.g. "21.3;55;1013" with delimiter ";" and columns 0, 1 and 2 mapped to paths
+  function parseDelimitedMessage(messageStr, rule, topic) {
+    try {
+      const captures = extractTopicCaptures(topic, rule);
+      const timestamp = new Date().toISOString();
+      const updates = [];
+
+      messageStr.split(/\r?\n/).filter(line => line.trim() !== '').forEach(line => {
+        const columns = line.split(rule.delimiter || ',').map(column => column.trim());
+        const values = mapFieldValues(rule, topic, captures, mapping => {
+          const text = columns[mapping.column];
+          if (text === undefined || text === '') return { found: false };
+          return { found: true, value: isNaN(text) ? text : Number(text) };
+        });
+        if (values.length > 0) {
+          updates.push({
+            source: {
+              label: renderTemplate(rule.sourceLabel || '', captures),
+              type: 'mqtt'
+            },
+            timestamp: timestamp,
+            values: values
+          });
+        }
+      });
+
+      if (updates.length === 0) {
+        app.debug(`No mapped columns found in message on ${topic}`);
+        return null;
+      }
+
+      return {
+        context: rule.signalKContext ? renderTemplate(rule.signalKContext, captures, '.') : extractContextFromTopic(topic, rule),
+        updates: updates
+      };
+    } catch (error) {
+      app.debug(`Error parsing delimited message: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Parse binary payloads using the rule's field mappings
+  // Each mapping reads a number at a byte offset, e.g. { "offset": 2, "type": "int16", "scale": 0.01, "path": ... }
+  function parseBinaryMessage(message, rule, topic) {
+    try {
+      const captures = extractTopicCaptures(topic, rule);
+      const values = mapFieldValues(rule, topic, captures, mapping => readBinaryField(message, mapping));
+
+      if (values.length === 0) {
+        app.debug(`No mapped fields found in ${message.length} byte message on ${topic}`);
+        return null;
+      }
+
+      return {
+        context: rule.signalKContext ? renderTemplate(rule.signalKContext, captures, '.') : extractContextFromTopic(topic, rule),
+        updates: [{
+          source: {
+            label: renderTemplate(rule.sourceLabel || '', captures),
+            type: 'mqtt'
+          },
+          timestamp: new Date().toISOString(),
+          values: values
+        }]
+      };
+    } catch (error) {
+      app.debug(`Error parsing binary message: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Read a field of a binary payload; little-endian unless the mapping says "big"
+  function readBinaryField(buffer, mapping) {
+    const [method, size] = BINARY_FIELD_TYPES[mapping.type];
+    if (mapping.offset + size > buffer.length) {
+      return { found: false };
+    }
+    const read = size > 1 ? `${method}${mapping.endianness === 'big' ? 'BE' : 'LE'}` : method;
+    return { found: true, value: buffer[read](mapping.offset) * (mapping.scale ?? 1) };
+  }
+
+  // Render the paths and transform the values of a rule's field mappings
+  // readField(mapping) returns { found, value } for the mapping's field of the payload
+  function mapFieldValues(rule, topic, captures, readField) {
+    const values = [];
+    (Array.isArray(rule.fieldMappings) ? rule.fieldMappings : []).forEach(mapping => {
+      const field = readField(mapping);
+      if (!field.found) {
+        app.debug(`No value for ${mapping.path} in message on ${topic} - skipping`);
+        return;
+      }
+
+      try {
+        const path = renderTemplate(mapping.path, captures, '.');
+        const value = applyTransforms(field.value, mapping.transforms, { path: path, topic: topic, captures: captures });
+        if (value !== undefined) {
+          values.push({ path: path, value: value });
+        }
+      } catch (error) {
+        app.debug(`Transform failed for ${mapping.path} in rule "${rule.name}": ${error.message}`);
+      }
+    });
+    return values;
+  }
+
+  // NMEA 0183
+  // Payloads with one or more sentences ($GPRMC,...) are converted by a built-in
+  // parser for common navigation and environment sentences. Other sentences, such
+  // as AIS, go to the server's own NMEA 0183 parser when it can be loaded.
+  function parseNMEA0183Message(messageStr, rule, topic) {
+    const captures = extractTopicCaptures(topic, rule);
+    const defaultContext = rule.signalKContext ? renderTemplate(rule.signalKContext, captures, '.') : extractContextFromTopic(topic, rule);
+    let context = null;
+    const updates = [];
+
+    messageStr.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '').forEach(line => {
+      const parsed = parseNMEASentence(line) || parseWithServerNMEAParser(line);
+      if (!parsed || parsed.values.length === 0) {
+        app.debug(`NMEA sentence on ${topic} not imported: ${line}`);
+        return;
+      }
+
+      // AIS sentences describe other vessels; one delta can only carry one of them
+      const sentenceContext = (!rule.signalKContext && parsed.context) || defaultContext;
+      context = context || sentenceContext;
+      if (sentenceContext !== context) {
+        app.debug(`NMEA sentence on ${topic} skipped: it is about ${sentenceContext}, not ${context}`);
+        return;
+      }
+
+      updates.push({
+        source: {
+          label: renderTemplate(rule.sourceLabel || '', captures),
+          type: 'NMEA0183',
+          talker: parsed.talker,
+          sentence: parsed.sentence
+        },
+        timestamp: parsed.timestamp || new Date().toISOString(),
+        values: parsed.values
+      });
+    });
+
+    return updates.length > 0 ? { context: context, updates: updates } : null;
+  }
+
+  // Parse a sentence the built-in parser knows
+  // Returns { talker, sentence, timestamp, values }, or null for an invalid or unknown sentence
+  function parseNMEASentence(line) {
+    const match = line.match(/^[$!]([A-Z0-9]{2})([A-Z0-9]{3}),([^*]*)(?:\*([0-9A-Fa-f]{2}))?$/);
+    if (!match) return null;
+    const [, talker, sentence, body, checksum] = match;
+    if (checksum !== undefined && nmeaChecksum(line.slice(1, line.indexOf('*'))) !== parseInt(checksum, 16)) {
+      app.debug(`NMEA checksum mismatch: ${line}`);
+      return null;
+    }
+
+    const f = body.split(',');
+    const num = index => nmeaNumber(f[index]);
+    const values = [];
+    const add = (path, value) => {
+      if (value !== null && value !== undefined) values.push({ path: path, value: value });
+    };
+    const convert = (value, conversion) => (value === null ? null : UNIT_CONVERSIONS[conversion](value));
+    const westIsNegative = (value, direction) => (value === null || direction !== 'W' ? value : -value);
+    let timestamp = null;
+
+    switch (sentence) {
+      case 'RMC':
+        if (f[1] !== 'A') break; // No valid fix
+        timestamp = nmeaDateTime(f[8], f[0]);
+        add('navigation.position', nmeaPosition(f[2], f[3], f[4], f[5]));
+        add('navigation.speedOverGround', convert(num(6), 'knotsToMs'));
+        add('navigation.courseOverGroundTrue', convert(num(7), 'degreesToRadians'));
+        add('navigation.magneticVariation', convert(westIsNegative(num(9), f[10]), 'degreesToRadians'));
+        add('navigation.datetime', timestamp);
+        break;
+      case 'GGA':
+        if (!(num(5) > 0)) break; // No fix
+        add('navigation.position', nmeaPosition(f[1], f[2], f[3], f[4]));
+        add('navigation.gnss.methodQuality', NMEA_GPS_QUALITY[num(5)]);
+        add('navigation.gnss.satellites', num(6));
+        add('navigation.gnss.horizontalDilution', num(7));
+        add('navigation.gnss.antennaAltitude', num(8));
+        add('navigation.gnss.geoidalSeparation', num(10));
+        break;
+      case 'GLL':
+        if (f[5] === 'V') break;
+        add('navigation.position', nmeaPosition(f[0], f[1], f[2], f[3]));
+        break;
+      case 'VTG':
+        add('navigation.courseOverGroundTrue', convert(num(0), 'degreesToRadians'));
+        add('navigation.courseOverGroundMagnetic', convert(num(2), 'degreesToRadians'));
+        add('navigation.speedOverGround', num(4) !== null ? convert(num(4), 'knotsToMs') : convert(num(6), 'kmhToMs'));
+        break;
+      case 'HDG':
+        add('navigation.headingMagnetic', convert(num(0), 'degreesToRadians'));
+        add('navigation.magneticDeviation', convert(westIsNegative(num(1), f[2]), 'degreesToRadians'));
+        add('navigation.magneticVariation', convert(westIsNegative(num(3), f[4]), 'degreesToRadians'));
+        break;
+      case 'HDT':
+        add('navigation.headingTrue', convert(num(0), 'degreesToRadians'));
+        break;
+      case 'HDM':
+        add('navigation.headingMagnetic', convert(num(0), 'degreesToRadians'));
+        break;
+      case 'DBT':
+        add('environment.depth.belowTransducer', num(2) !== null ? num(2) : convert(num(0), 'feetToMeters'));
+        break;
+      case 'DPT': {
+        const depth = num(0);
+        const offset = num(1);
+        add('environment.depth.belowTransducer', depth);
+        if (depth !== null && offset > 0) {
+          add('environment.depth.surfaceToTransducer', offset);
+          add('environment.depth.belowSurface', depth + offset);
+        } else if (depth !== null && offset < 0) {
+          add('environment.depth.transducerToKeel', -offset);
+          add('environment.depth.belowKeel', depth + offset);
+        }
+        break;
+      }
+      case 'MWV': {
+        if (f[4] === 'V') break;
+        const angle = num(0) === null ? null : (num(0) > 180 ? num(0) - 360 : num(0));
+        const speedConversions = { N: 'knotsToMs', K: 'kmhToMs', S: 'mphToMs' };
+        const speed = speedConversions[f[3]] ? convert(num(2), speedConversions[f[3]]) : num(2);
+        const apparent = f[1] === 'R';
+        add(apparent ? 'environment.wind.angleApparent' : 'environment.wind.angleTrueWater', convert(angle, 'degreesToRadians'));
+        add(apparent ? 'environment.wind.speedApparent' : 'environment.wind.speedTrue', speed);
+        break;
+      }
+      case 'MTW':
+        add('environment.water.temperature', convert(num(0), 'celsiusToKelvin'));
+        break;
+      case 'VHW':
+        add('navigation.speedThroughWater', num(4) !== null ? convert(num(4), 'knotsToMs') : convert(num(6), 'kmhToMs'));
+        break;
+      case 'ROT':
+        if (f[1] === 'V') break;
+        add('navigation.rateOfTurn', num(0) === null ? null : UNIT_CONVERSIONS.degreesToRadians(num(0)) / 60);
+        break;
+      default:
+        return null;
+    }
+
+    return { talker: talker, sentence: sentence, timestamp: timestamp, values: values };
+  }
+
+  // Hand a sentence to the server's parser (@signalk/nmea0183-signalk)
+  function parseWithServerNMEAParser(line) {
+    if (serverNMEAParser === undefined) {
+      serverNMEAParser = loadServerNMEAParser();
+    }
+    if (!serverNMEAParser) return null;
+
+    try {
+      const delta = serverNMEAParser.parse(line);
+      if (!delta || !Array.isArray(delta.updates) || delta.updates.length === 0) return null;
+      const source = delta.updates[0].source || {};
+      return {
+        context: delta.context,
+        talker: source.talker,
+        sentence: source.sentence,
+        timestamp: delta.updates[0].timestamp,
+        values: [].concat(...delta.updates.map(update => update.values || []))
+      };
+    } catch (error) {
+      app.debug(`NMEA parser rejected ${line}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // The parser ships with the server; plugins usually can only reach it through the server's require
+  function loadServerNMEAParser() {
+    for (const load of [() => require('@signalk/nmea0183-signalk'), () => require.main.require('@signalk/nmea0183-signalk')]) {
+      try {
+        const Parser = load();
+        return new Parser();
+      } catch {
+        // Try the next location
+      }
+    }
+    app.debug('@signalk/nmea0183-signalk not available - only the built-in NMEA sentences are imported');
+    return null;
+  }
+
+  function nmeaChecksum(text) {
+    let checksum = 0;
+    for (let i = 0; i < text.length; i++) {
+      checksum ^= text.charCodeAt(i);
+    }
+    return checksum;
+  }
+
+  function nmeaNumber(text) {
+    if (text === undefined || text.trim() === '') return null;
+    const value = Number(text);
+    return isNaN(value) ? null : value;
+  }
+
+  // ddmm.mmmm / dddmm.mmmm with hemisphere to decimal degrees
+  function nmeaPosition(latitude, latHemisphere, longitude, lonHemisphere) {
+    const toDegrees = (text, negative) => {
+      const value = nmeaNumber(text);
+      if (value === null) return null;
+      const degrees = Math.floor(value / 100);
+      const result = degrees + (value - degrees * 100) / 60;
+      return negative ? -result : result;
+    };
+    const lat = toDegrees(latitude, latHemisphere === 'S');
+    const lon = toDegrees(longitude, lonHemisphere === 'W');
+    return lat === null || lon === null ? null : { latitude: lat, longitude: lon };
+  }
+
+  // ddmmyy and hhmmss.ss to an ISO timestamp (two-digit years from 80 are taken as 19yy)
+  function nmeaDateTime(date, time) {
+    if (!/^\d{6}$/.test(date || '') || !/^\d{6}(\.\d+)?$/.test(time || '')) return null;
+    const year = Number(date.slice(4, 6));
+    const milliseconds = Date.UTC(year + (year >= 80 ? 1900 : 2000), Number(date.slice(2, 4)) - 1, Number(date.slice(0, 2)),
+      Number(time.slice(0, 2)), Number(time.slice(2, 4))) + Math.round(Number(time.slice(4)) * 1000);
+    return isNaN(milliseconds) ? null : new Date(milliseconds).toISOString();
+  }
+
+  // Split a dot-path or JSONPath selector into property segments
+  // Supports "a.b.c", "$.a.b", "a[0].b" and "a['key.with.dots']"
+  function parseSelector(selector) {
+    if (typeof selector !== 'string' || selector.trim() === '') {
+      throw new Error('selector must be a non-empty string');
+    }
+
+    let remaining = selector.trim().replace(/^\$\.?/, '');
+    const segments = [];
+    const pattern = /^(?:\.?([^.[\]]+)|\[\s*(\d+)\s*\]|\[\s*(['"])(.*?)\3\s*\])/;
+
+    while (remaining.length > 0) {
+      const match = remaining.match(pattern);
+      if (!match) {
+        throw new Error(`Invalid selector "${selector}"`);
+      }
+      if (match[1] !== undefined) segments.push(match[1]);
+      else if (match[2] !== undefined) segments.push(Number(match[2]));
+      else segments.push(match[4]);
+      remaining = remaining.slice(match[0].length);
+    }
+    return segments;
+  }
+
+  // Resolve a selector against a parsed payload
+  function resolveSelector(object, selector) {
+    let current = object;
+    for (const segment of parseSelector(selector)) {
+      if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segment)) {
+        return { found: false };
+      }
+      current = current[segment];
+    }
+    return { found: current !== undefined, value: current };
+  }
+
+  // Echo suppression
+  // When an MQTT export plugin publishes to the same broker, this server's own data
+  // comes straight back. Echoes are recognised by an origin marker (a payload field
+  // or MQTT v5 user property), by $source/source labels, and by matching recently
+  // emitted values including their original timestamp.
+  function getOriginId() {
+    return plugin.config.echoOriginId || selfVesselUrn;
+  }
+
+  function hasOwnOriginMarker(messageStr, packet) {
+    if (!plugin.config.suppressEchoes) return false;
+    const originId = getOriginId();
+    const field = plugin.config.echoOriginField;
+    if (!originId || !field) return false;
+
+    const userProperties = packet && packet.properties && packet.properties.userProperties;
+    if (userProperties && [].concat(userProperties[field]).includes(originId)) {
+      return true;
+    }
+
+    // Only parse payloads that can contain the marker
+    if (messageStr.indexOf(field) === -1 || messageStr.indexOf(originId) === -1) return false;
+    try {
+      const parsed = JSON.parse(messageStr);
+      return parsed !== null && typeof parsed === 'object' && parsed[field] === originId;
+    } catch {
+      return false;
+    }
+  }
+
+  // Remove echoed updates and values from a full delta; true when it held nothing but echoes
+  function removeEchoedUpdates(delta) {
+    if (!plugin.config.suppressEchoes || !Array.isArray(delta.updates)) return false;
+
+    const context = normalizeContext(delta.context);
+    const sourceLabels = plugin.config.echoSourceLabels.split(',').map(label => label.trim()).filter(label => label.length > 0);
+    let removed = false;
+
+    delta.updates = delta.updates.filter(update => {
+      const label = update.$source || (update.source && update.source.label) || '';
+      const ownSource = label.startsWith(plugin.id) ||
+        (isSelfContext(delta.context) && sourceLabels.some(prefix => label === prefix || label.startsWith(`${prefix}.`)));
+      if (ownSource) {
+        countSuppressedLoop('source');
+        removed = true;
+        return false;
+      }
+
+      if (update.timestamp && Array.isArray(update.values)) {
+        update.values = update.values.filter(valueUpdate => {
+          const key = getFingerprint(context, valueUpdate.path, valueUpdate.value, update.timestamp);
+          if (exportFingerprints.has(key) && exportFingerprints.get(key) > Date.now()) {
+            countSuppressedLoop('fingerprint');
+            removed = true;
+            return false;
+          }
+          return true;
+        });
+        return update.values.length > 0 || Array.isArray(update.meta);
+      }
+      return true;
+    });
+
+    if (removed) {
+      app.debug(`🔁 Suppressed echoed data for ${delta.context}`);
+    }
+    return removed && delta.updates.length === 0;
+  }
+
+  // Data this plugin imported is not an export: the same message may still be imported
+  // by another rule or arrive from another broker
+  function recordExportFingerprints(delta) {
+    if (!delta || !delta.context || !Array.isArray(delta.updates) || importedDeltas.has(delta)) return;
+
+    const expires = Date.now() + plugin.config.echoFingerprintTtl * 1000;
+    const context = normalizeContext(delta.context);
+    delta.updates.forEach(update => {
+      const label = update.$source || (update.source && update.source.label) || '';
+      if (!update.timestamp || !Array.isArray(update.values) || label.startsWith(plugin.id)) return;
+      update.values.forEach(valueUpdate => {
+        exportFingerprints.set(getFingerprint(context, valueUpdate.path, valueUpdate.value, update.timestamp), expires);
+      });
+    });
+  }
+
+  function pruneExportFingerprints() {
+    const now = Date.now();
+    exportFingerprints.forEach((expires, key) => {
+      if (expires <= now) {
+        exportFingerprints.delete(key);
+      }
+    });
+  }
+
+  function getFingerprint(context, path, value, timestamp) {
+    return `${context}|${path}|${timestamp}|${JSON.stringify(value)}`;
+  }
+
+  function normalizeContext(context) {
+    return isSelfContext(context) ? 'vessels.self' : context;
+  }
+
+  function countSuppressedLoop(reason) {
+    loopsSuppressed.total++;
+    loopsSuppressed[reason]++;
+  }
+
+  // Helper function to convert URN format for MQTT topics
+  function urnToMqttFormat(urn) {
+    if (!urn) return null;
+    // Convert urn:mrn:imo:mmsi:368396230 to urn_mrn_imo_mmsi_368396230
+    return urn.replace(/:/g, '_');
+  }
+
+  // Helper function to convert MQTT format back to URN
+  function mqttFormatToUrn(mqttFormat) {
+    if (!mqttFormat) return null;
+    // Convert urn_mrn_imo_mmsi_368396230 to urn:mrn:imo:mmsi:368396230
+    return mqttFormat.replace(/_/g, ':');
+  }
+
+  // Helper function to extract MMSI from URN
+  function extractMMSIFromUrn(urn) {
+    if (!urn) return null;
+    // Extract MMSI from urn:mrn:imo:mmsi:368396230 or urn_mrn_imo_mmsi_368396230
+    const match = urn.match(/urn[_:]+mrn[_:]+imo[_:]+mmsi[_:]+([0-9]+)/);
+    return match ? match[1] : null;
+  }
+
+  // Helper function to parse MMSI exclusion list
+  function parseMMSIExclusionList(excludeMMSI) {
+    if (!excludeMMSI || typeof excludeMMSI !== 'string') return [];
+    return excludeMMSI.split(',').map(mmsi => mmsi.trim()).filter(mmsi => mmsi.length > 0);
+  }
+
+  // Helper function to check if MMSI should be excluded
+  function isMMSIExcluded(topic, rule) {
+    const exclusionList = parseMMSIExclusionList(rule.excludeMMSI);
+    if (exclusionList.length === 0) return false;
+    
+    // Extract vessel ID from topic
+    const parts = topic.split('/');
+    if (parts.length < 2 || parts[0] !== 'vessels') return false;
+    
+    const vesselId = parts[1];
+    const mmsi = extractMMSIFromUrn(vesselId);
+    
+    if (!mmsi) return false;
+    
+    const isExcluded = exclusionList.includes(mmsi);
+    
+    if (isExcluded) {
+      app.debug(`MMSI ${mmsi} excluded by rule "${rule.name}" for topic: ${topic}`);
+    }
+    
+    return isExcluded;
+  }
+
+  // Topic templates
+  // A rule topic may name its wildcard levels, e.g. "boat/{zone}/sensor/{metric}" or
+  // "tele/{device}/{rest#}". Named levels subscribe as + (or # for {name#}) and their
+  // values can be used in the rule's context, path and source label templates.
+  function compileTopicTemplate(template, cache = true) {
+    if (compiledTopicTemplates.has(template)) {
+      return compiledTopicTemplates.get(template);
+    }
+
+    const levels = String(template || '').split('/');
+    const names = [];
+    let previous = null;
+    const filterLevels = [];
+    const patternLevels = [];
+
+    levels.forEach(level => {
+      const named = level.match(/^\{([A-Za-z_][\w]*)(#?)\}$/);
+      if (named) {
+        names.push(named[1]);
+        filterLevels.push(named[2] ? '#' : '+');
+        patternLevels.push(named[2] ? '(.+)' : '([^/]+)');
+      } else if (level === '+') {
+        filterLevels.push(level);
+        patternLevels.push('[^/]+');
+      } else if (level === '#') {
+        filterLevels.push(level);
+        patternLevels.push('.*');
+      } else if (level === 'self' && previous === 'vessels') {
+        // vessels/self also matches the self vessel's URN in either format
+        filterLevels.push(level);
+        patternLevels.push('[^/]+');
+      } else {
+        filterLevels.push(level);
+        patternLevels.push(level.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/_/g, '[_:]'));
+      }
+      previous = level;
+    });
+
+    const compiled = {
+      filter: filterLevels.join('/'),
+      names: names,
+      regex: names.length > 0 ? new RegExp(`^${patternLevels.join('/').replace(/\/\.\*$/, '(?:/.*)?')}$`) : null
+    };
+    if (cache) {
+      cacheCompiled(compiledTopicTemplates, template, compiled);
+    }
+    return compiled;
+  }
+
+  // The caches hold what the rules in use need: they are cleared when rules are applied
+  // and capped, so templates and expressions tried in previews don't pile up
+  function cacheCompiled(cache, key, value) {
+    if (cache.size >= COMPILED_CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, value);
+  }
+
+  // MQTT subscription filter for a rule (named template levels become wildcards)
+  function getRuleTopicFilter(rule) {
+    return compileTopicTemplate(rule.mqttTopic).filter;
+  }
+
+  // Named values captured from the topic by the rule's topic template
+  function extractTopicCaptures(topic, rule) {
+    const template = compileTopicTemplate(rule.mqttTopic);
+    if (!template.regex) return {};
+
+    const match = topic.match(template.regex);
+    if (!match) return {};
+
+    const captures = {};
+    template.names.forEach((name, index) => {
+      captures[name] = match[index + 1];
+    });
+    return captures;
+  }
+
+  // Substitute {name} placeholders with topic captures
+  // Multi-level captures are joined with the separator (e.g. "." for SignalK paths)
+  function renderTemplate(template, captures, separator) {
+    if (!template || template.indexOf('{') === -1) return template;
+    return template.replace(/\{([A-Za-z_][\w]*)\}/g, (placeholder, name) => {
+      if (!Object.prototype.hasOwnProperty.call(captures, name)) return placeholder;
+      return separator ? captures[name].split('/').join(separator) : captures[name];
+    });
+  }
+
+  // Extract SignalK context from MQTT topic
+  function extractContextFromTopic(topic, rule) {
+    const parts = topic.split('/');
+    
+    if (parts[0] === 'vessels' && parts.length > 2) {
+      const vesselId = parts[1];
+      
+      // Check if this is the self vessel's URN (handle both formats)
+      if (selfVesselUrn && (urnToMqttFormat(selfVesselUrn) === vesselId || selfVesselUrn === vesselId)) {
+        return 'vessels.self';
+      }
+      
+      // Handle URN format (both underscore and colon)
+      if (vesselId.startsWith('urn_')) {
+        return `vessels.${mqttFormatToUrn(vesselId)}`;
+      } else if (vesselId.startsWith('urn:')) {
+        return `vessels.${vesselId}`;
+      }
+      
+      // Handle other formats
+      return `vessels.${vesselId}`;
+    }
+    
+    // Fallback to vessels.self
+    return 'vessels.self';
+  }
+
+  // Extract SignalK path from MQTT topic
+  function extractPathFromTopic(topic, rule) {
+    // Default path extraction: convert topic to SignalK path
+    // e.g., "vessels/self/navigation/position" -> "navigation.position"
+    const parts = topic.split('/');
+    
+    // Remove context parts (vessels/self or vessels/urn_...)
+    if (parts[0] === 'vessels' && parts.length > 2) {
+      return parts.slice(2).join('.');
+    }
+    
+    // Fallback: use the entire topic as path
+    return topic.replace(/\//g, '.');
+  }
+
+  // Apply a rule's transform pipeline to a single value
+  // transforms is a JSON array of steps, e.g.
+  // [{ "type": "convert", "conversion": "celsiusToKelvin" }, { "type": "round", "decimals": 2 }]
+  function applyTransforms(value, transforms, scope = {}) {
+    if (!Array.isArray(transforms) || transforms.length === 0) return value;
+    return transforms.reduce((current, step) => applyTransformStep(current, step, scope), value);
+  }
+
+  function applyTransformStep(value, step, scope) {
+    if (value === null || value === undefined) return value;
+
+    const number = toNumber(value);
+    switch (step.type) {
+      case 'scale':
+        return number === null ? value : number * Number(step.factor ?? 1);
+      case 'offset':
+        return number === null ? value : number + Number(step.offset ?? 0);
+      case 'linear':
+        return number === null ? value : number * Number(step.factor ?? 1) + Number(step.offset ?? 0);
+      case 'convert':
+        return number === null ? value : UNIT_CONVERSIONS[step.conversion](number);
+      case 'clamp': {
+        if (number === null) return value;
+        let clamped = number;
+        if (step.min !== undefined && step.min !== null) clamped = Math.max(clamped, Number(step.min));
+        if (step.max !== undefined && step.max !== null) clamped = Math.min(clamped, Number(step.max));
+        return clamped;
+      }
+      case 'round': {
+        if (number === null) return value;
+        const factor = Math.pow(10, Number(step.decimals ?? 0));
+        return Math.round(number * factor) / factor;
+      }
+      case 'boolean': {
+        const key = String(value).trim().toLowerCase();
+        const trueValues = (step.trueValues || ['true', 'on', '1', 'yes', 'open', 'active']).map(v => String(v).toLowerCase());
+        const falseValues = (step.falseValues || ['false', 'off', '0', 'no', 'closed', 'inactive']).map(v => String(v).toLowerCase());
+        if (trueValues.includes(key)) return step.trueValue !== undefined ? step.trueValue : true;
+        if (falseValues.includes(key)) return step.falseValue !== undefined ? step.falseValue : false;
+        return step.default !== undefined ? step.default : value;
+      }
+      case 'map': {
+        const key = String(value);
+        if (step.map && Object.prototype.hasOwnProperty.call(step.map, key)) return step.map[key];
+        return step.default !== undefined ? step.default : value;
+      }
+      case 'expression':
+        return compileExpression(step.expression)({ ...scope, value: value });
+      default:
+        throw new Error(`Unknown transform type: ${step.type}`);
+    }
+  }
+
+  function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+    return null;
+  }
+
+  // Validate the parts of a rule that are interpreted at runtime
+  // Error messages start with the field they refer to
+  function validateImportRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return ['rule must be an object'];
+    }
+
+    const errors = validateTransforms(rule.transforms);
+
+    if (typeof rule.id !== 'string' || rule.id.trim() === '') {
+      errors.push('id must be a non-empty string');
+    }
+    if (typeof rule.name !== 'string' || rule.name.trim() === '') {
+      errors.push('name must be a non-empty string');
+    }
+    if (typeof rule.mqttTopic !== 'string' || rule.mqttTopic.trim() === '') {
+      errors.push('mqttTopic must be a non-empty topic filter');
+    }
+    if (rule.payloadFormat !== undefined && !PAYLOAD_FORMATS.includes(rule.payloadFormat)) {
+      errors.push(`payloadFormat must be one of ${PAYLOAD_FORMATS.join(', ')}`);
+    }
+    if (rule.delimiter === '') {
+      errors.push('delimiter must not be empty');
+    }
+    if (rule.meta !== undefined && rule.meta !== null) {
+      if (typeof rule.meta !== 'object' || Array.isArray(rule.meta)) {
+        errors.push('meta must be an object with the metadata of each SignalK path');
+      } else {
+        Object.keys(rule.meta).forEach(key => {
+          if (key.trim() === '') {
+            errors.push('meta paths must not be empty');
+          }
+          validateMeta(rule.meta[key]).forEach(error => errors.push(`meta["${key}"]: ${error}`));
+        });
+      }
+    }
+    if (rule.qos !== undefined && ![0, 1, 2].includes(rule.qos)) {
+      errors.push('qos must be 0, 1 or 2');
+    }
+    if (rule.retainedMessages !== undefined && !RETAINED_POLICIES.includes(rule.retainedMessages)) {
+      errors.push(`retainedMessages must be one of ${RETAINED_POLICIES.join(', ')}`);
+    }
+    if (rule.geoFilter !== undefined && rule.geoFilter !== null) {
+      errors.push(...validateGeoFilter(rule.geoFilter));
+    }
+    if (rule.command !== undefined && rule.command !== null) {
+      errors.push(...validateCommand(rule.command));
+    }
+    RULE_BOOLEAN_FIELDS.forEach(field => {
+      if (rule[field] !== undefined && typeof rule[field] !== 'boolean') {
+        errors.push(`${field} must be true or false`);
+      }
+    });
+    if (rule.brokers !== undefined) {
+      if (!Array.isArray(rule.brokers) || rule.brokers.some(id => typeof id !== 'string' || id === '')) {
+        errors.push('brokers must be an array of broker ids');
+      } else if (configuredBrokerIds.size > 0) {
+        rule.brokers.filter(id => !configuredBrokerIds.has(id)).forEach(id => {
+          errors.push(`brokers: "${id}" is not a configured broker`);
+        });
+      }
+    }
+    RULE_STRING_FIELDS.forEach(field => {
+      if (rule[field] !== undefined && rule[field] !== null && typeof rule[field] !== 'string') {
+        errors.push(`${field} must be a string`);
+      }
+    });
+
+    if (rule.contextRewrites !== undefined && rule.contextRewrites !== null) {
+      if (!Array.isArray(rule.contextRewrites)) {
+        errors.push('contextRewrites must be an array of { from, to } objects');
+      } else {
+        rule.contextRewrites.forEach((rewrite, index) => {
+          if (!rewrite || typeof rewrite.from !== 'string' || rewrite.from === '') {
+            errors.push(`contextRewrites[${index}].from must be a non-empty context`);
+          }
+          if (!rewrite || typeof rewrite.to !== 'string' || !CONTEXT_ROOTS.includes(rewrite.to.split('.')[0]) || !rewrite.to.includes('.')) {
+            errors.push(`contextRewrites[${index}].to must be a context starting with ${CONTEXT_ROOTS.join('., ')}.`);
+          } else if (rewrite.to.includes('*') && !String(rewrite.from).endsWith('*')) {
+            errors.push(`contextRewrites[${index}].to can only use * when from ends with *`);
+          }
+        });
+      }
+    }
+
+    if (rule.staleAlertState !== undefined && rule.staleAlertState !== '' && !ALERT_STATES.includes(rule.staleAlertState)) {
+      errors.push(`staleAlertState must be one of ${ALERT_STATES.join(', ')}`);
+    }
+    if (rule.staleAlertMethod !== undefined && rule.staleAlertMethod !== null &&
+      (!Array.isArray(rule.staleAlertMethod) || rule.staleAlertMethod.some(method => !ALERT_METHODS.includes(method)))) {
+      errors.push(`staleAlertMethod must be a list of ${ALERT_METHODS.join(', ')}`);
+    }
+    if (rule.pathStaleTimeouts !== undefined && rule.pathStaleTimeouts !== null) {
+      if (typeof rule.pathStaleTimeouts !== 'object' || Array.isArray(rule.pathStaleTimeouts)) {
+        errors.push('pathStaleTimeouts must be an object of path: seconds');
+      } else {
+        Object.entries(rule.pathStaleTimeouts).forEach(([path, seconds]) => {
+          if (!(typeof seconds === 'number' && seconds > 0)) {
+            errors.push(`pathStaleTimeouts["${path}"] must be a positive number of seconds`);
+          }
+        });
+      }
+    }
+
+    if (rule.timestampField) {
+      try {
+        parseSelector(rule.timestampField);
+      } catch (error) {
+        errors.push(`timestampField: ${error.message}`);
+      }
+    }
+    [['timestampSource', ['payload', 'receipt']], ['timestampCorrection', ['reject', 'correct']], ['sourcePolicy', ['preserve', 'override']]]
+      .forEach(([field, allowed]) => {
+        if (rule[field] !== undefined && rule[field] !== '' && !allowed.includes(rule[field])) {
+          errors.push(`${field} must be one of ${allowed.join(', ')}`);
+        }
+      });
+
+    ['minPublishInterval', 'deadband', 'deadbandPercent', 'positionThreshold', 'duplicateWindow', 'staleTimeout',
+      'maxFutureSkew', 'maxTimestampAge'].forEach(field => {
+      const value = rule[field];
+      if (value !== undefined && value !== null && value !== '' && !(typeof value === 'number' && value >= 0)) {
+        errors.push(`${field} must be a non-negative number`);
+      }
+    });
+
+    // Topic template placeholders must cover whole levels, and # only at the end
+    const levels = String(rule.mqttTopic || '').split('/');
+    levels.forEach((level, index) => {
+      if (level.includes('{') && !/^\{[A-Za-z_][\w]*#?\}$/.test(level)) {
+        errors.push(`mqttTopic level "${level}" must be a whole-level placeholder such as {name}`);
+      } else if (level.includes('#') && level !== '#' && !level.startsWith('{')) {
+        errors.push(`mqttTopic level "${level}" can only use # as a whole level`);
+      }
+      if ((level === '#' || /^\{[A-Za-z_][\w]*#\}$/.test(level)) && index !== levels.length - 1) {
+        errors.push(`mqttTopic multi-level wildcard "${level}" must be the last level`);
+      }
+    });
+
+    // Every placeholder used by the rule must be captured from the topic
+    const captureNames = compileTopicTemplate(rule.mqttTopic, false).names;
+    const targets = [['signalKContext', rule.signalKContext], ['signalKPath', rule.signalKPath], ['sourceLabel', rule.sourceLabel]];
+    if (Array.isArray(rule.fieldMappings)) {
+      rule.fieldMappings.forEach((mapping, index) => targets.push([`fieldMappings[${index}].path`, mapping && mapping.path]));
+    }
+    if (rule.meta && typeof rule.meta === 'object') {
+      Object.keys(rule.meta).forEach(key => targets.push([`meta["${key}"]`, key]));
+    }
+    targets.forEach(([field, template]) => {
+      (String(template || '').match(/\{([A-Za-z_][\w]*)\}/g) || []).forEach(placeholder => {
+        if (!captureNames.includes(placeholder.slice(1, -1))) {
+          errors.push(`${field} uses ${placeholder} which is not captured by the mqttTopic template`);
+        }
+      });
+    });
+
+    if (FIELD_MAPPING_FORMATS.includes(rule.payloadFormat)) {
+      if (!Array.isArray(rule.fieldMappings) || rule.fieldMappings.length === 0) {
+        errors.push(`fieldMappings must be a non-empty array when payloadFormat is "${rule.payloadFormat}"`);
+      } else {
+        rule.fieldMappings.forEach((mapping, index) => {
+          if (!mapping || typeof mapping !== 'object') {
+            errors.push(`fieldMappings[${index}] must be an object`);
+            return;
+          }
+          if (rule.payloadFormat === 'fields') {
+            try {
+              parseSelector(mapping.selector);
+            } catch (error) {
+              errors.push(`fieldMappings[${index}].selector: ${error.message}`);
+            }
+          } else if (rule.payloadFormat === 'delimited') {
+            if (!Number.isInteger(mapping.column) || mapping.column < 0) {
+              errors.push(`fieldMappings[${index}].column must be a column number starting at 0`);
+            }
+          } else {
+            if (!Number.isInteger(mapping.offset) || mapping.offset < 0) {
+              errors.push(`fieldMappings[${index}].offset must be a byte offset starting at 0`);
+            }
+            if (!Object.prototype.hasOwnProperty.call(BINARY_FIELD_TYPES, mapping.type)) {
+              errors.push(`fieldMappings[${index}].type must be one of ${Object.keys(BINARY_FIELD_TYPES).join(', ')}`);
+            }
+            if (mapping.endianness !== undefined && !['little', 'big'].includes(mapping.endianness)) {
+              errors.push(`fieldMappings[${index}].endianness must be "little" or "big"`);
+            }
+            if (mapping.scale !== undefined && !Number.isFinite(mapping.scale)) {
+              errors.push(`fieldMappings[${index}].scale must be a number`);
+            }
+          }
+          if (typeof mapping.path !== 'string' || mapping.path.trim() === '') {
+            errors.push(`fieldMappings[${index}].path must be a non-empty SignalK path`);
+          }
+          validateTransforms(mapping.transforms).forEach(error => {
+            errors.push(`fieldMappings[${index}].${error}`);
+          });
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  // Validate a whole rule set: every rule, and ids that must be unique
+  // Returns { errors, fieldErrors } where fieldErrors are { ruleId, field, message }
+  function validateRuleSet(rules) {
+    const fieldErrors = [];
+    const seen = new Set();
+
+    rules.forEach((rule, index) => {
+      const ruleId = rule && typeof rule.id === 'string' ? rule.id : null;
+      validateImportRule(rule).forEach(error => {
+        const match = /^(\S+?):?\s(.*)$/.exec(error);
+        fieldErrors.push({ index: index, ruleId: ruleId, field: match ? match[1] : null, message: error });
+      });
+      if (ruleId !== null) {
+        if (seen.has(ruleId)) {
+          fieldErrors.push({ index: index, ruleId: ruleId, field: 'id', message: `id "${ruleId}" is used by more than one rule` });
+        }
+        seen.add(ruleId);
+      }
+    });
+
+    const errors = fieldErrors.map(error => {
+      const rule = rules[error.index];
+      return `Rule "${(rule && (rule.name || rule.id)) || `#${error.index + 1}`}": ${error.message}`;
+    });
+    return { errors: errors, fieldErrors: fieldErrors };
+  }
+
+  // Validate a transform pipeline, returning a list of error messages
+  function validateTransforms(transforms) {
+    if (transforms === undefined || transforms === null) return [];
+    if (!Array.isArray(transforms)) return ['transforms must be an array'];
+
+    const errors = [];
+    transforms.forEach((step, index) => {
+      if (!step || typeof step !== 'object') {
+        errors.push(`transforms[${index}] must be an object`);
+        return;
+      }
+      if (!TRANSFORM_TYPES.includes(step.type)) {
+        errors.push(`transforms[${index}].type "${step.type}" is not one of ${TRANSFORM_TYPES.join(', ')}`);
+      } else if (step.type === 'convert' && !UNIT_CONVERSIONS[step.conversion]) {
+        errors.push(`transforms[${index}].conversion "${step.conversion}" is not one of ${Object.keys(UNIT_CONVERSIONS).join(', ')}`);
+      } else if (step.type === 'map' && (!step.map || typeof step.map !== 'object')) {
+        errors.push(`transforms[${index}].map must be an object`);
+      } else if (TRANSFORM_NUMBER_FIELDS[step.type]) {
+        TRANSFORM_NUMBER_FIELDS[step.type].forEach(field => {
+          if (step[field] !== undefined && step[field] !== null && !Number.isFinite(toNumber(step[field]))) {
+            errors.push(`transforms[${index}].${field} must be a number`);
+          }
+        });
+      } else if (step.type === 'expression') {
+        try {
+          compileExpression(step.expression, false);
+        } catch (error) {
+          errors.push(`transforms[${index}].expression: ${error.message}`);
+        }
+      }
+    });
+    return errors;
+  }
+
+  // Compile a sandboxed expression into a function of its scope
+  // Only arithmetic, comparison, logical and ternary operators, property access on
+  // plain data and a whitelist of math functions are available
+  function compileExpression(source, cache = true) {
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw new Error('expression must be a non-empty string');
+    }
+    if (compiledExpressions.has(source)) {
+      return compiledExpressions.get(source);
+    }
+
+    const tokens = tokenizeExpression(source);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const accept = (text) => {
+      const token = peek();
+      if (token && token.type === 'op' && token.text === text) {
+        position++;
+        return true;
+      }
+      return false;
+    };
+    const expect = (text) => {
+      if (!accept(text)) throw new Error(`Expected "${text}" at position ${peek() ? peek().index : source.length}`);
+    };
+
+    const binary = (operand, operators) => () => {
+      let left = operand();
+      for (;;) {
+        const token = peek();
+        if (!token || token.type !== 'op' || !operators[token.text]) return left;
+        position++;
+        const apply = operators[token.text];
+        const lhs = left;
+        const rhs = operand();
+        left = (scope) => apply(lhs(scope), rhs(scope));
+      }
+    };
+
+    let parseTernary;
+    const parsePrimary = () => {
+      const token = next();
+      if (!token) throw new Error('Unexpected end of expression');
+      if (token.type === 'number' || token.type === 'string') {
+        return () => token.value;
+      }
+      if (token.type === 'ident') {
+        if (token.text === 'true') return () => true;
+        if (token.text === 'false') return () => false;
+        if (token.text === 'null') return () => null;
+        if (Object.prototype.hasOwnProperty.call(EXPRESSION_GLOBALS, token.text)) {
+          const global = EXPRESSION_GLOBALS[token.text];
+          return () => global;
+        }
+        return (scope) => (Object.prototype.hasOwnProperty.call(scope, token.text) ? scope[token.text] : undefined);
+      }
+      if (token.type === 'op' && token.text === '(') {
+        const inner = parseTernary();
+        expect(')');
+        return inner;
+      }
+      throw new Error(`Unexpected "${token.text}" at position ${token.index}`);
+    };
+
+    const parsePostfix = () => {
+      let target = parsePrimary();
+      for (;;) {
+        if (accept('.')) {
+          const name = next();
+          if (!name || name.type !== 'ident') throw new Error('Expected property name after "."');
+          const object = target;
+          target = (scope) => readProperty(object(scope), name.text);
+        } else if (accept('[')) {
+          const key = parseTernary();
+          expect(']');
+          const object = target;
+          target = (scope) => readProperty(object(scope), key(scope));
+        } else if (accept('(')) {
+          const args = [];
+          if (!accept(')')) {
+            do {
+              args.push(parseTernary());
+            } while (accept(','));
+            expect(')');
+          }
+          const callee = target;
+          target = (scope) => {
+            const fn = callee(scope);
+            if (!EXPRESSION_FUNCTIONS.has(fn)) throw new Error('Only whitelisted functions can be called');
+            return fn(...args.map(arg => arg(scope)));
+          };
+        } else {
+          return target;
+        }
+      }
+    };
+
+    const parseUnary = () => {
+      if (accept('-')) { const operand = parseUnary(); return (scope) => -operand(scope); }
+      if (accept('+')) { const operand = parseUnary(); return (scope) => +operand(scope); }
+      if (accept('!')) { const operand = parseUnary(); return (scope) => !operand(scope); }
+      const base = parsePostfix();
+      if (accept('**')) {
+        const exponent = parseUnary();
+        return (scope) => Math.pow(base(scope), exponent(scope));
+      }
+      return base;
+    };
+
+    const parseMultiplicative = binary(parseUnary, {
+      '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b
+    });
+    const parseAdditive = binary(parseMultiplicative, {
+      '+': (a, b) => a + b, '-': (a, b) => a - b
+    });
+    const parseComparison = binary(parseAdditive, {
+      '<': (a, b) => a < b, '<=': (a, b) => a <= b, '>': (a, b) => a > b, '>=': (a, b) => a >= b
+    });
+    const parseEquality = binary(parseComparison, {
+      '==': (a, b) => a === b, '===': (a, b) => a === b, '!=': (a, b) => a !== b, '!==': (a, b) => a !== b
+    });
+
+    // && and || short-circuit, so they are not built with binary()
+    const parseAnd = () => {
+      let left = parseEquality();
+      while (accept('&&')) {
+        const lhs = left;
+        const rhs = parseEquality();
+        left = (scope) => lhs(scope) && rhs(scope);
+      }
+      return left;
+    };
+    const parseOr = () => {
+      let left = parseAnd();
+      while (accept('||')) {
+        const lhs = left;
+        const rhs = parseAnd();
+        left = (scope) => lhs(scope) || rhs(scope);
+      }
+      return left;
+    };
+
+    parseTernary = () => {
+      const condition = parseOr();
+      if (!accept('?')) return condition;
+      const whenTrue = parseTernary();
+      expect(':');
+      const whenFalse = parseTernary();
+      return (scope) => (condition(scope) ? whenTrue(scope) : whenFalse(scope));
+    };
+
+    const evaluate = parseTernary();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${peek().text}" at position ${peek().index}`);
+    }
+
+    if (cache) {
+      cacheCompiled(compiledExpressions, source, evaluate);
+    }
+    return evaluate;
+  }
+
+  function tokenizeExpression(source) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|\.\d+)|([A-Za-z_$][\w$]*)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(===|!==|\*\*|==|!=|<=|>=|&&|\|\||[-+*/%<>!?:.,()[\]]))/y;
+    let index = 0;
+
+    while (index < source.length) {
+      if (/^\s*$/.test(source.slice(index))) break;
+      pattern.lastIndex = index;
+      const match = pattern.exec(source);
+      if (!match) throw new Error(`Unexpected character at position ${index}`);
+
+      const start = match.index + match[0].length - (match[1] || match[2] || match[3] || match[4]).length;
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'number', text: match[1], value: Number(match[1]), index: start });
+      } else if (match[2] !== undefined) {
+        tokens.push({ type: 'ident', text: match[2], index: start });
+      } else if (match[3] !== undefined) {
+        const body = match[3].slice(1, -1).replace(/\\(.)/g, '$1');
+        tokens.push({ type: 'string', text: match[3], value: body, index: start });
+      } else {
+        tokens.push({ type: 'op', text: match[4], index: start });
+      }
+      index = pattern.lastIndex;
+    }
+    return tokens;
+  }
+
+  // Property access inside expressions is limited to own data properties
+  function readProperty(object, key) {
+    if (object === null || object === undefined) return undefined;
+    if (typeof object === 'string' && key === 'length') return object.length;
+    if (typeof object !== 'object') return undefined;
+    if (Array.isArray(object) && key === 'length') return object.length;
+    const name = String(key);
+    if (name === '__proto__' || name === 'constructor' || name === 'prototype') return undefined;
+    if (!Object.prototype.hasOwnProperty.call(object, name)) return undefined;
+    const property = object[name];
+    return typeof property === 'function' ? undefined : property;
+  }
+
+  // Throttling, deadband and deduplication
+  // State is kept per rule, context and path, and compares against the last value
+  // actually sent to SignalK so that slow drift is still published
+  function hasPublishFilters(rule) {
+    return Boolean(rule.ignoreDuplicates || rule.minPublishInterval > 0 || rule.deadband > 0 ||
+      rule.deadbandPercent > 0 || rule.positionThreshold > 0);
+  }
+
+  function shouldPublishValue(rule, context, valueUpdate, now) {
+    const key = `${rule.id}|${context}|${valueUpdate.path}`;
+    const value = valueUpdate.value;
+    const previous = lastPublishedValues.get(key);
+
+    if (previous) {
+      const elapsed = now - previous.time;
+
+      // Minimum interval between values for the same path
+      if (rule.minPublishInterval > 0 && elapsed < rule.minPublishInterval * 1000) {
+        return false;
+      }
+
+      const number = toNumber(value);
+      const previousNumber = toNumber(previous.value);
+      if (number !== null && previousNumber !== null) {
+        const change = Math.abs(number - previousNumber);
+        if (rule.deadband > 0 && change < rule.deadband) {
+          return false;
+        }
+        if (rule.deadbandPercent > 0 && previousNumber !== 0 && (change / Math.abs(previousNumber)) * 100 < rule.deadbandPercent) {
+          return false;
+        }
+      }
+
+      if (rule.positionThreshold > 0 && isPosition(value) && isPosition(previous.value) &&
+          distanceInMeters(previous.value, value) < rule.positionThreshold) {
+        return false;
+      }
+
+      // Identical value within the duplicate window
+      if (rule.ignoreDuplicates && elapsed < getDuplicateWindow(rule) * 1000 &&
+          JSON.stringify(value) === JSON.stringify(previous.value)) {
+        return false;
+      }
+    }
+
+    lastPublishedValues.set(key, { value: value, time: now, rule: rule });
+    return true;
+  }
+
+  // Seconds during which an identical value is treated as a duplicate
+  function getDuplicateWindow(rule) {
+    return rule.duplicateWindow > 0 ? rule.duplicateWindow : DEFAULT_DUPLICATE_WINDOW;
+  }
+
+  function prunePublishState() {
+    const now = Date.now();
+    lastPublishedValues.forEach((entry, key) => {
+      const rule = entry.rule;
+      const maxAge = Math.max(PUBLISH_STATE_MAX_AGE, (rule.minPublishInterval || 0) * 1000,
+        rule.ignoreDuplicates ? getDuplicateWindow(rule) * 1000 : 0);
+      if (now - entry.time > maxAge) {
+        lastPublishedValues.delete(key);
+      }
+    });
+  }
+
+  function isPosition(value) {
+    return value !== null && typeof value === 'object' &&
+      typeof value.latitude === 'number' && typeof value.longitude === 'number';
+  }
+
+  // Great-circle distance between two positions (haversine)
+  function distanceInMeters(from, to) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  // Apply the rule's context rewrites, e.g. a remote boat's vessels.self to its URN
+  // Returns null when the result is our own vessel and the rule doesn't allow that
+  function remapContext(context, rule) {
+    let result = context;
+
+    for (const rewrite of rule.contextRewrites || []) {
+      const rewritten = rewriteContext(result, rewrite);
+      if (rewritten !== null) {
+        app.debug(`Context ${result} rewritten to ${rewritten} by rule "${rule.name}"`);
+        result = rewritten;
+        break;
+      }
+    }
+
+    if (isSelfContext(result) && !rule.allowSelfContext) {
+      app.debug(`Rule "${rule.name}" is not allowed to write to ${result} - message dropped`);
+      return null;
+    }
+    return result;
+  }
+
+  // Match a context against a rewrite's "from" pattern, where * captures the rest
+  // of the context and is substituted into "to"
+  function rewriteContext(context, rewrite) {
+    const from = String(rewrite.from || '');
+    const to = String(rewrite.to || '');
+
+    if (from === 'vessels.self' ? isSelfContext(context) : from === context) {
+      return to;
+    }
+    if (from.endsWith('*')) {
+      const prefix = from.slice(0, -1);
+      if (context.startsWith(prefix)) {
+        return to.replace('*', context.slice(prefix.length));
+      }
+    }
+    return null;
+  }
+
+  function isSelfContext(context) {
+    if (context === 'vessels.self') return true;
+    if (!selfVesselUrn) return false;
+    return context === `vessels.${selfVesselUrn}` || context === `vessels.${urnToMqttFormat(selfVesselUrn)}`;
+  }
+
+  // Geographic filter
+  // Rules with geoFilter only import remote vessels (and other contexts) within
+  // maxDistance nautical miles of our own position and/or inside a bounding box or
+  // polygon. The last imported position of every remote context is tracked so that
+  // all of its paths are filtered alike, and a context that leaves the area stops
+  // being imported until it comes back.
+  function trackVesselPosition(delta) {
+    if (isSelfContext(delta.context)) return;
+    const position = findDeltaPosition(delta);
+    if (!position) return;
+
+    // Re-insert so the Map stays ordered from least to most recently updated
+    vesselPositions.delete(delta.context);
+    vesselPositions.set(delta.context, { latitude: position.latitude, longitude: position.longitude, time: Date.now() });
+    while (vesselPositions.size > GEO_MAX_TRACKED_POSITIONS) {
+      const oldest = vesselPositions.keys().next().value;
+      vesselPositions.delete(oldest);
+      geoAreaContexts.forEach(contexts => contexts.delete(oldest));
+    }
+  }
+
+  function findDeltaPosition(delta) {
+    for (const update of delta.updates || []) {
+      const value = (update.values || []).find(v => v.path === 'navigation.position' && isPosition(v.value));
+      if (value) return value.value;
+    }
+    return null;
+  }
+
+  // Position of a delta's context: from the delta itself, else the last tracked one
+  function getContextPosition(delta) {
+    const position = findDeltaPosition(delta);
+    if (position) return position;
+    const tracked = vesselPositions.get(delta.context);
+    return tracked && Date.now() - tracked.time <= GEO_POSITION_MAX_AGE ? tracked : null;
+  }
+
+  function getOwnPosition() {
+    const node = app.getSelfPath('navigation.position');
+    const position = node && node.value !== undefined ? node.value : node;
+    return isPosition(position) ? position : null;
+  }
+
+  // Returns { inside } and, when outside, the reason; our own vessel is never filtered
+  function checkGeoFilter(delta, rule) {
+    const filter = rule.geoFilter;
+    if (!filter || isSelfContext(delta.context)) return { inside: true };
+
+    const position = getContextPosition(delta);
+    if (!position) {
+      return filter.unknownPosition === 'keep'
+        ? { inside: true }
+        : { inside: false, reason: `Position of ${delta.context} is not known yet` };
+    }
+
+    if (filter.maxDistance > 0) {
+      const own = getOwnPosition();
+      if (!own) {
+        // Without our own position the distance can't be checked; the area checks still apply
+        app.debug(`Own position unknown - distance filter of rule "${rule.name}" not applied`);
+      } else {
+        const distance = distanceInMeters(own, position) / METERS_PER_NAUTICAL_MILE;
+        if (distance > filter.maxDistance) {
+          return { inside: false, reason: `${distance.toFixed(1)} nm away (limit ${filter.maxDistance} nm)` };
+        }
+      }
+    }
+    if (filter.boundingBox && !isInBoundingBox(position, filter.boundingBox)) {
+      return { inside: false, reason: 'Outside the bounding box' };
+    }
+    if (filter.polygon && !isInPolygon(position, filter.polygon)) {
+      return { inside: false, reason: 'Outside the polygon' };
+    }
+    return { inside: true };
+  }
+
+  // Keep track of which contexts are inside a rule's area, logging arrivals and departures
+  function updateGeoArea(rule, context, inside) {
+    if (isSelfContext(context)) return;
+    let contexts = geoAreaContexts.get(rule.id);
+    if (!contexts) {
+      contexts = new Set();
+      geoAreaContexts.set(rule.id, contexts);
+    }
+    if (inside && !contexts.has(context)) {
+      contexts.add(context);
+      app.debug(`🌍 ${context} entered the area of rule "${rule.name}"`);
+    } else if (!inside && contexts.has(context)) {
+      contexts.delete(context);
+      app.debug(`🌍 ${context} left the area of rule "${rule.name}" - no longer imported`);
+    }
+  }
+
+  // A bounding box with west greater than east crosses the antimeridian
+  function isInBoundingBox(position, box) {
+    if (position.latitude < box.south || position.latitude > box.north) return false;
+    return box.west <= box.east
+      ? position.longitude >= box.west && position.longitude <= box.east
+      : position.longitude >= box.west || position.longitude <= box.east;
+  }
+
+  // Ray casting on latitude/longitude, fine for areas that don't cross the antimeridian
+  function isInPolygon(position, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      if ((a.latitude > position.latitude) !== (b.latitude > position.latitude) &&
+        position.longitude < (b.longitude - a.longitude) * (position.latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  function validateGeoFilter(filter) {
+    if (typeof filter !== 'object' || Array.isArray(filter)) {
+      return ['geoFilter must be an object'];
+    }
+
+    const errors = [];
+    const isLatitude = value => typeof value === 'number' && value >= -90 && value <= 90;
+    const isLongitude = value => typeof value === 'number' && value >= -180 && value <= 180;
+
+    if (filter.maxDistance !== undefined && !(typeof filter.maxDistance === 'number' && filter.maxDistance > 0)) {
+      errors.push('geoFilter.maxDistance must be a positive number of nautical miles');
+    }
+    if (filter.boundingBox !== undefined) {
+      const box = filter.boundingBox || {};
+      if (!isLatitude(box.north) || !isLatitude(box.south) || !isLongitude(box.east) || !isLongitude(box.west)) {
+        errors.push('geoFilter.boundingBox needs north and south latitudes and east and west longitudes in degrees');
+      } else if (box.south > box.north) {
+        errors.push('geoFilter.boundingBox south must not be greater than north');
+      }
+    }
+    if (filter.polygon !== undefined) {
+      if (!Array.isArray(filter.polygon) || filter.polygon.length < 3 ||
+        filter.polygon.some(p => !p || !isLatitude(p.latitude) || !isLongitude(p.longitude))) {
+        errors.push('geoFilter.polygon must be at least 3 { latitude, longitude } points');
+      }
+    }
+    if (filter.unknownPosition !== undefined && !['drop', 'keep'].includes(filter.unknownPosition)) {
+      errors.push('geoFilter.unknownPosition must be drop or keep');
+    }
+    if (filter.maxDistance === undefined && filter.boundingBox === undefined && filter.polygon === undefined) {
+      errors.push('geoFilter needs maxDistance, boundingBox or polygon');
+    }
+    return errors;
+  }
+
+  // Staleness watchdog
+  // Rules with staleTimeout raise notifications.mqttImport.<ruleId> when no data has
+  // been imported for that long; pathStaleTimeouts does the same per path, raising
+  // notifications.mqttImport.<ruleId>.<path> in the data's context
+  function watchesStaleness(rule) {
+    return rule.staleTimeout > 0 || (rule.pathStaleTimeouts && Object.keys(rule.pathStaleTimeouts).length > 0);
+  }
+
+  function getPathStaleTimeout(rule, path) {
+    const timeouts = rule.pathStaleTimeouts || {};
+    return Object.prototype.hasOwnProperty.call(timeouts, path) ? Number(timeouts[path]) : 0;
+  }
+
+  function recordImportActivity(rule, signalKData) {
+    if (!watchesStaleness(rule)) return;
+
+    const now = Date.now();
+    let activity = ruleActivity.get(rule.id);
+    if (!activity) {
+      activity = { time: now, stale: false, paths: new Map() };
+      ruleActivity.set(rule.id, activity);
+    }
+    activity.time = now;
+    if (activity.stale) {
+      activity.stale = false;
+      sendStaleNotification(rule, 'vessels.self', `notifications.mqttImport.${rule.id}`, false,
+        `MQTT data for rule "${rule.name}" resumed`);
+    }
+
+    signalKData.updates.forEach(update => {
+      (update.values || []).forEach(valueUpdate => {
+        activity.paths.set(`${signalKData.context}|${valueUpdate.path}`, { context: signalKData.context, path: valueUpdate.path });
+
+        if (getPathStaleTimeout(rule, valueUpdate.path) > 0) {
+          const key = `${rule.id}|${signalKData.context}|${valueUpdate.path}`;
+          const entry = pathActivity.get(key);
+          if (entry && entry.stale) {
+            sendStaleNotification(rule, signalKData.context, `notifications.mqttImport.${rule.id}.${valueUpdate.path}`, false,
+              `${valueUpdate.path} from MQTT rule "${rule.name}" resumed`);
+          }
+          pathActivity.set(key, { ruleId: rule.id, context: signalKData.context, path: valueUpdate.path, time: now, stale: false });
+        }
+      });
+    });
+  }
+
+  function checkStaleness() {
+    const now = Date.now();
+    const rulesById = new Map(importRules.filter(rule => rule.enabled).map(rule => [rule.id, rule]));
+
+    // Rule level: no data at all for the rule
+    rulesById.forEach(rule => {
+      if (!(rule.staleTimeout > 0)) return;
+
+      let activity = ruleActivity.get(rule.id);
+      if (!activity) {
+        activity = { time: startedAt, stale: false, paths: new Map() };
+        ruleActivity.set(rule.id, activity);
+      }
+      if (!activity.stale && now - activity.time > rule.staleTimeout * 1000) {
+        activity.stale = true;
+        const age = Math.round((now - activity.time) / 1000);
+        app.debug(`⏰ No MQTT data for rule "${rule.name}" for ${age}s`);
+        sendStaleNotification(rule, 'vessels.self', `notifications.mqttImport.${rule.id}`, true,
+          `No MQTT data for rule "${rule.name}" for ${age} seconds`);
+        if (rule.staleClearValues) {
+          activity.paths.forEach(({ context, path }) => clearStaleValue(context, path));
+        }
+      }
+    });
+
+    // Path level: a single path stopped updating
+    pathActivity.forEach(entry => {
+      const rule = rulesById.get(entry.ruleId);
+      if (!rule) return;
+      const timeout = getPathStaleTimeout(rule, entry.path);
+      if (!entry.stale && timeout > 0 && now - entry.time > timeout * 1000) {
+        entry.stale = true;
+        const age = Math.round((now - entry.time) / 1000);
+        app.debug(`⏰ ${entry.context} ${entry.path} from rule "${rule.name}" is ${age}s old`);
+        sendStaleNotification(rule, entry.context, `notifications.mqttImport.${rule.id}.${entry.path}`, true,
+          `${entry.path} from MQTT rule "${rule.name}" not updated for ${age} seconds`);
+        if (rule.staleClearValues) {
+          clearStaleValue(entry.context, entry.path);
+        }
+      }
+    });
+
+    // Clear notifications of rules that were disabled, deleted or stopped watching
+    ruleActivity.forEach((activity, ruleId) => {
+      const rule = rulesById.get(ruleId);
+      if (rule && watchesStaleness(rule)) return;
+      if (activity.stale) {
+        sendStaleNotification({ id: ruleId }, 'vessels.self', `notifications.mqttImport.${ruleId}`, false, 'MQTT staleness watch removed');
+      }
+      ruleActivity.delete(ruleId);
+    });
+    pathActivity.forEach((entry, key) => {
+      const rule = rulesById.get(entry.ruleId);
+      if (rule && getPathStaleTimeout(rule, entry.path) > 0) return;
+      if (entry.stale) {
+        sendStaleNotification({ id: entry.ruleId }, entry.context, `notifications.mqttImport.${entry.ruleId}.${entry.path}`, false,
+          'MQTT staleness watch removed');
+      }
+      pathActivity.delete(key);
+    });
+  }
+
+  function sendStaleNotification(rule, context, notificationPath, raised, message) {
+    const state = raised ? (rule.staleAlertState || 'warn') : 'normal';
+    app.handleMessage(plugin.id, {
+      context: context,
+      updates: [{
+        timestamp: new Date().toISOString(),
+        values: [{
+          path: notificationPath,
+          value: {
+            state: state,
+            method: raised ? (rule.staleAlertMethod || ['visual']) : [],
+            message: message
+          }
+        }]
+      }]
+    });
+  }
+
+  // Replace a stale value with null so consumers don't act on old data; values of the
+  // path still waiting in the batch are older, so they are dropped instead of overwriting it
+  function clearStaleValue(context, path) {
+    dropQueuedValues(context, path);
+    app.handleMessage(plugin.id, {
+      context: context,
+      updates: [{
+        timestamp: new Date().toISOString(),
+        values: [{ path: path, value: null }]
+      }]
+    });
+  }
+
+  // Send data to SignalK
+  function sendToSignalK(signalKData, rule, topic, messageStr, connection) {
+    try {
+      const ruleMetrics = getRuleMetrics(rule);
+
+      // Zones see every parsed value, also one the publish filters hold back, so a small
+      // or throttled step across a zone boundary still raises or clears the alarm
+      const captures = rule.meta ? extractTopicCaptures(topic, rule) : null;
+      const zoneNotifications = rule.meta ? checkZones(rule, signalKData, captures) : [];
+
+      // Drop values suppressed by the rule's throttling, deadband and duplicate settings
+      if (hasPublishFilters(rule)) {
+        const now = Date.now();
+        signalKData.updates.forEach(update => {
+          if (!Array.isArray(update.values)) return;
+          const count = update.values.length;
+          update.values = update.values.filter(valueUpdate => shouldPublishValue(rule, signalKData.context, valueUpdate, now));
+          ruleMetrics.deduplicated += count - update.values.length;
+        });
+        signalKData.updates = signalKData.updates.filter(update =>
+          !Array.isArray(update.values) || update.values.length > 0 || Array.isArray(update.meta));
+        if (signalKData.updates.length === 0) {
+          app.debug(`All values suppressed by rule "${rule.name}" for ${signalKData.context}`);
+          zoneNotifications.forEach(emitDelta);
+          return;
+        }
+      }
+
+      // Send to SignalK, with the rule's metadata first so the values arrive with their units
+      if (rule.meta) {
+        sendDeclaredMeta(rule, signalKData.context, captures);
+      }
+      // Notifications go through the batch too, so they never arrive before their value
+      emitDelta(signalKData);
+      zoneNotifications.forEach(emitDelta);
+      ruleMetrics.imported++;
+      metrics.totals.imported++;
+      
+      app.debug(`✅ Imported to SignalK: ${signalKData.context} - ${signalKData.updates.length} updates`);
+    } catch (error) {
+      app.debug(`Error sending to SignalK: ${error.message}`);
+      recordDeadLetter(topic, messageStr, 'send-failed', error.message, rule, connection);
+    }
+  }
+
+  // Delta batching
+  // With batchWindow set, imported deltas are queued and sent together at most
+  // batchWindow ms later (or as soon as batchMaxValues values are waiting), as one
+  // delta per context. A newer value for the same context, source and path replaces
+  // the queued one; values keep their own timestamps.
+  function emitDelta(delta) {
+    if (plugin.config.batchWindow > 0) {
+      queueDelta(delta);
+    } else {
+      sendImportedDelta(delta);
+    }
+  }
+
+  function sendImportedDelta(delta) {
+    importedDeltas.add(delta);
+    app.handleMessage(plugin.id, delta);
+  }
+
+  function queueDelta(delta) {
+    if (!batch) {
+      batch = { contexts: new Map(), size: 0, timer: setTimeout(flushBatch, plugin.config.batchWindow) };
+    }
+    const stats = metrics.batching;
+    stats.deltasQueued++;
+
+    let sources = batch.contexts.get(delta.context);
+    if (!sources) {
+      sources = new Map();
+      batch.contexts.set(delta.context, sources);
+    }
+    delta.updates.forEach(update => {
+      const { values, meta, timestamp, ...source } = update;
+      const sourceKey = JSON.stringify(source);
+      let entry = sources.get(sourceKey);
+      if (!entry) {
+        entry = { source: source, values: new Map(), meta: new Map() };
+        sources.set(sourceKey, entry);
+      }
+
+      (values || []).forEach(valueUpdate => {
+        stats.valuesQueued++;
+        const queued = entry.values.get(valueUpdate.path);
+        let value = valueUpdate.value;
+        if (queued) {
+          stats.valuesCoalesced++;
+          // Values at the root of a context (name, mmsi, ...) are objects that add up
+          if (valueUpdate.path === '' && isPlainObject(queued.value) && isPlainObject(value)) {
+            value = { ...queued.value, ...value };
+          }
+        } else {
+          batch.size++;
+        }
+        entry.values.set(valueUpdate.path, { value: value, timestamp: timestamp });
+      });
+      (meta || []).forEach(metaEntry => entry.meta.set(metaEntry.path, { value: metaEntry.value, timestamp: timestamp }));
+    });
+
+    if (batch.size >= plugin.config.batchMaxValues) {
+      stats.sizeFlushes++;
+      flushBatch();
+    }
+  }
+
+  function dropQueuedValues(context, path) {
+    const sources = batch && batch.contexts.get(context);
+    if (!sources) return;
+    sources.forEach(entry => {
+      if (entry.values.delete(path)) {
+        batch.size--;
+      }
+    });
+  }
+
+  function flushBatch() {
+    if (!batch) return;
+    const contexts = batch.contexts;
+    clearTimeout(batch.timer);
+    batch = null;
+    metrics.batching.flushes++;
+
+    contexts.forEach((sources, context) => {
+      const updates = [];
+      sources.forEach(entry => {
+        // Values and metadata from one source with the same timestamp share an update
+        const byTimestamp = new Map();
+        const getUpdate = timestamp => {
+          if (!byTimestamp.has(timestamp)) {
+            byTimestamp.set(timestamp, { ...entry.source, timestamp: timestamp });
+          }
+          return byTimestamp.get(timestamp);
+        };
+        entry.values.forEach(({ value, timestamp }, path) => {
+          const update = getUpdate(timestamp);
+          (update.values = update.values || []).push({ path: path, value: value });
+        });
+        entry.meta.forEach(({ value, timestamp }, path) => {
+          const update = getUpdate(timestamp);
+          (update.meta = update.meta || []).push({ path: path, value: value });
+        });
+        updates.push(...byTimestamp.values());
+      });
+      if (updates.length === 0) return;
+
+      try {
+        sendImportedDelta({ context: context, updates: updates });
+        metrics.batching.deltasSent++;
+      } catch (error) {
+        app.debug(`Error sending batched delta for ${context}: ${error.message}`);
+      }
+    });
+  }
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function describeBatching() {
+    const stats = metrics.batching;
+    return {
+      enabled: plugin.config.batchWindow > 0,
+      window: plugin.config.batchWindow,
+      maxValues: plugin.config.batchMaxValues,
+      ...stats,
+      pendingValues: batch ? batch.size : 0,
+      // Share of queued deltas saved by sending them together
+      reduction: stats.deltasQueued > 0 ? Math.round((1 - stats.deltasSent / stats.deltasQueued) * 1000) / 1000 : 0
+    };
+  }
+
+  // Metadata
+  // Rules can declare SignalK metadata (units, displayName, description, zones, ...) in
+  // "meta", keyed by path templates like signalKPath. It is sent as a meta delta when a
+  // path is first imported and again when the declaration changes; rules with a fixed
+  // context send it right away. Values entering a declared zone raise notifications.<path>
+  // like the server's own alarms.
+  function getDeclaredMeta(rule, captures) {
+    // Without captures only paths without placeholders can be rendered
+    return Object.keys(rule.meta || {})
+      .filter(key => captures || !key.includes('{'))
+      .map(key => ({ key: key, path: renderTemplate(key, captures || {}, '.'), meta: rule.meta[key] }));
+  }
+
+  function sendDeclaredMeta(rule, context, captures) {
+    const changed = getDeclaredMeta(rule, captures).filter(({ path, meta }) => {
+      const key = `${normalizeContext(context)}|${path}`;
+      const sent = metaSent.get(key);
+      if (sent && sent.meta === meta) return false;
+      const fingerprint = JSON.stringify(meta);
+      metaSent.set(key, { meta: meta, fingerprint: fingerprint });
+      return !sent || sent.fingerprint !== fingerprint;
+    });
+    if (changed.length === 0) return;
+
+    app.handleMessage(plugin.id, {
+      context: context,
+      updates: [{
+        timestamp: new Date().toISOString(),
+        meta: changed.map(({ path, meta }) => ({ path: path, value: meta }))
+      }]
+    });
+    app.debug(`📏 Sent metadata for ${changed.map(entry => entry.path).join(', ')} in ${context} (rule "${rule.name}")`);
+  }
+
+  // Rules with a fixed context don't need to wait for data
+  function sendStaticMeta() {
+    importRules.forEach(rule => {
+      if (!rule.enabled || !rule.meta || !rule.signalKContext || rule.signalKContext.includes('{')) return;
+      const context = remapContext(rule.signalKContext, rule);
+      if (context) {
+        sendDeclaredMeta(rule, context, null);
+      }
+    });
+  }
+
+  // Raise or clear notifications.<path> when a value moves between declared zones
+  // Notification deltas for the zone changes caused by a delta's values
+  function checkZones(rule, signalKData, captures) {
+    const zoned = new Map(getDeclaredMeta(rule, captures)
+      .filter(entry => entry.meta && Array.isArray(entry.meta.zones) && entry.meta.zones.length > 0)
+      .map(entry => [entry.path, entry]));
+    const notifications = [];
+    if (zoned.size === 0) return notifications;
+
+    signalKData.updates.forEach(update => (update.values || []).forEach(valueUpdate => {
+      const entry = zoned.get(valueUpdate.path);
+      if (!entry || typeof valueUpdate.value !== 'number') return;
+
+      const zone = findZone(entry.meta.zones, valueUpdate.value);
+      const state = zone && !['nominal', 'normal'].includes(zone.state) ? zone.state : 'normal';
+      const key = `${normalizeContext(signalKData.context)}|${entry.path}`;
+      const previous = zoneStates.get(key);
+      zoneStates.set(key, { ruleId: rule.id, metaKey: entry.key, context: signalKData.context, path: entry.path, state: state });
+      if (state === (previous ? previous.state : 'normal')) return;
+
+      const label = entry.meta.displayName || entry.path;
+      notifications.push(buildZoneNotification(signalKData.context, entry.path, state, entry.meta,
+        state === 'normal' ? `${label} is back to normal` : (zone.message || `${label} is in the ${state} zone`)));
+    }));
+    return notifications;
+  }
+
+  // The most severe zone containing the value
+  function findZone(zones, value) {
+    return zones
+      .filter(zone => (zone.lower === undefined || value >= zone.lower) && (zone.upper === undefined || value <= zone.upper))
+      .sort((a, b) => ZONE_STATES.indexOf(b.state) - ZONE_STATES.indexOf(a.state))[0] || null;
+  }
+
+  function buildZoneNotification(context, path, state, meta, message) {
+    const defaultMethod = ['alarm', 'emergency'].includes(state) ? ['visual', 'sound'] : ['visual'];
+    return {
+      context: context,
+      updates: [{
+        timestamp: new Date().toISOString(),
+        values: [{
+          path: `notifications.${path}`,
+          value: {
+            state: state,
+            method: state === 'normal' ? [] : (meta[`${state}Method`] || defaultMethod),
+            message: message
+          }
+        }]
+      }]
+    };
+  }
+
+  // Clear notifications of paths whose rule was disabled, deleted or lost its zones
+  function clearRemovedZones() {
+    zoneStates.forEach((entry, key) => {
+      const rule = importRules.find(r => r.id === entry.ruleId && r.enabled);
+      const meta = rule && rule.meta && rule.meta[entry.metaKey];
+      if (meta && Array.isArray(meta.zones) && meta.zones.length > 0) return;
+      if (entry.state !== 'normal') {
+        app.handleMessage(plugin.id, buildZoneNotification(entry.context, entry.path, 'normal', {}, `Zones of ${entry.path} removed`));
+      }
+      zoneStates.delete(key);
+    });
+  }
+
+  // Drop malformed metadata from incoming deltas; the server stores it as it is
+  function sanitizeDeltaMeta(delta, topic) {
+    delta.updates.forEach(update => {
+      if (update.meta === undefined) return;
+      const entries = Array.isArray(update.meta) ? update.meta : [];
+      const valid = entries.filter(entry => entry && typeof entry.path === 'string' && entry.path !== '' &&
+        validateMeta(entry.value).length === 0);
+      if (valid.length < entries.length || !Array.isArray(update.meta)) {
+        app.debug(`Dropped invalid metadata in message on ${topic}`);
+      }
+      if (valid.length > 0) {
+        update.meta = valid;
+      } else {
+        delete update.meta;
+      }
+    });
+  }
+
+  // Returns a list of problems with a metadata object
+  function validateMeta(meta) {
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+      return ['must be an object'];
+    }
+
+    const errors = [];
+    META_STRING_FIELDS.forEach(field => {
+      if (meta[field] !== undefined && typeof meta[field] !== 'string') {
+        errors.push(`${field} must be a string`);
+      }
+    });
+    if (meta.zones !== undefined) {
+      if (!Array.isArray(meta.zones)) {
+        errors.push('zones must be an array');
+      } else {
+        meta.zones.forEach((zone, index) => {
+          if (!zone || typeof zone !== 'object') {
+            errors.push(`zones[${index}] must be an object`);
+            return;
+          }
+          if (!ZONE_STATES.includes(zone.state)) {
+            errors.push(`zones[${index}].state must be one of ${ZONE_STATES.join(', ')}`);
+          }
+          ['lower', 'upper'].forEach(bound => {
+            if (zone[bound] !== undefined && !Number.isFinite(zone[bound])) {
+              errors.push(`zones[${index}].${bound} must be a number`);
+            }
+          });
+          if (zone.lower === undefined && zone.upper === undefined) {
+            errors.push(`zones[${index}] needs lower, upper or both`);
+          } else if (zone.lower > zone.upper) {
+            errors.push(`zones[${index}].lower must not be greater than upper`);
+          }
+          if (zone.message !== undefined && typeof zone.message !== 'string') {
+            errors.push(`zones[${index}].message must be a string`);
+          }
+        });
+      }
+    }
+    ALERT_STATES.filter(state => state !== 'normal').forEach(state => {
+      const field = `${state}Method`;
+      if (meta[field] !== undefined && (!Array.isArray(meta[field]) || meta[field].some(method => !ALERT_METHODS.includes(method)))) {
+        errors.push(`${field} must be a list of ${ALERT_METHODS.join(', ')}`);
+      }
+    });
+    return errors;
+  }
+
+  // Commands
+  // A rule with "command" makes the paths it imports writable: a PUT on one of them is
+  // published to the rule's command topic (rendered with the captures of the topic the
+  // state came from) and completes when the device reports the requested value on the
+  // state topic, or fails after the timeout. E.g. stat/{device}/POWER imported to
+  // electrical.switches.{device}.state with command topic cmnd/{device}/POWER.
+  function commandKey(context, path) {
+    return `${normalizeContext(context)}|${path}`;
   }
 
-  // Helper function to convert MQTT format back to URN
-  function mqttFormatToUrn(mqttFormat) {
-    if (!mqttFormat) return null;
-    // Convert urn_mrn_imo_mmsi_368396230 to urn:mrn:imo:mmsi:368396230
-    return mqttFormat.replace(/_/g, ':');
+  function registerCommandTargets(rule, delta, topic, connection) {
+    const captures = extractTopicCaptures(topic, rule);
+    delta.updates.forEach(update => (update.values || []).forEach(valueUpdate => {
+      const key = commandKey(delta.context, valueUpdate.path);
+      commandTargets.set(key, { ruleId: rule.id, broker: connection.id, topic: topic, captures: captures });
+      registerPutHandler(key, normalizeContext(delta.context), valueUpdate.path);
+    }));
   }
 
-  // Helper function to extract MMSI from URN
-  function extractMMSIFromUrn(urn) {
-    if (!urn) return null;
-    // Extract MMSI from urn:mrn:imo:mmsi:368396230 or urn_mrn_imo_mmsi_368396230
-    const match = urn.match(/urn[_:]+mrn[_:]+imo[_:]+mmsi[_:]+([0-9]+)/);
-    return match ? match[1] : null;
+  // Rules with a fixed context and path are controllable before their device has
+  // reported, so their handlers are registered as soon as the rules are applied
+  function registerFixedCommandTargets() {
+    const fixed = new Map();
+    importRules.filter(rule => rule.enabled && rule.command && rule.signalKContext && rule.signalKPath).forEach(rule => {
+      if ([rule.signalKContext, rule.signalKPath, rule.command.topic].some(template => template.includes('{'))) return;
+      const context = remapContext(rule.signalKContext, rule);
+      if (!context) return;
+      fixed.set(commandKey(context, rule.signalKPath), {
+        context: context,
+        path: rule.signalKPath,
+        target: { ruleId: rule.id, broker: getRuleBrokers(rule)[0], topic: null, captures: {} }
+      });
+    });
+
+    // Fixed targets of changed rules are dropped; targets learned from state messages stay
+    commandTargets.forEach((target, key) => {
+      if (target.topic === null && !fixed.has(key)) {
+        commandTargets.delete(key);
+      }
+    });
+    fixed.forEach(({ context, path, target }, key) => {
+      if (!commandTargets.has(key) || commandTargets.get(key).topic === null) {
+        commandTargets.set(key, target);
+      }
+      registerPutHandler(key, normalizeContext(context), path);
+    });
   }
 
-  // Helper function to parse MMSI exclusion list
-  function parseMMSIExclusionList(excludeMMSI) {
-    if (!excludeMMSI || typeof excludeMMSI !== 'string') return [];
-    return excludeMMSI.split(',').map(mmsi => mmsi.trim()).filter(mmsi => mmsi.length > 0);
+  // Handlers stay registered while the plugin runs; a path whose rule no longer has a
+  // command answers PUTs with an error
+  function registerPutHandler(key, context, path) {
+    if (putHandlers.has(key) || typeof app.registerPutHandler !== 'function') return;
+
+    const unregister = app.registerPutHandler(context, path,
+      (putContext, putPath, value, callback) => handleCommandPut(key, putPath, value, callback), plugin.id);
+    putHandlers.set(key, typeof unregister === 'function' ? unregister : null);
+    app.debug(`🎛️ Registered PUT handler for ${context} ${path}`);
   }
 
-  // Helper function to check if MMSI should be excluded
-  function isMMSIExcluded(topic, rule) {
-    const exclusionList = parseMMSIExclusionList(rule.excludeMMSI);
-    if (exclusionList.length === 0) return false;
-    
-    // Extract vessel ID from topic
-    const parts = topic.split('/');
-    if (parts.length < 2 || parts[0] !== 'vessels') return false;
-    
-    const vesselId = parts[1];
-    const mmsi = extractMMSIFromUrn(vesselId);
-    
-    if (!mmsi) return false;
-    
-    const isExcluded = exclusionList.includes(mmsi);
-    
-    if (isExcluded) {
-      app.debug(`MMSI ${mmsi} excluded by rule "${rule.name}" for topic: ${topic}`);
+  function handleCommandPut(key, path, value, callback) {
+    const target = commandTargets.get(key);
+    const rule = target && importRules.find(r => r.id === target.ruleId && r.enabled && r.command);
+    if (!rule) {
+      return { state: 'COMPLETED', statusCode: 405, message: `${path} is not controllable through MQTT` };
     }
-    
-    return isExcluded;
+    const connection = connections.get(target.broker);
+    if (!connection || !connection.client || !connection.client.connected) {
+      return { state: 'COMPLETED', statusCode: 503, message: `MQTT broker "${target.broker}" is not connected` };
+    }
+
+    const command = rule.command;
+    const relativeTopic = renderTemplate(command.topic, target.captures);
+    const topic = connection.topicPrefix ? `${connection.topicPrefix}/${relativeTopic}` : relativeTopic;
+    const payload = renderCommandPayload(command, value, target.captures);
+    const options = { qos: command.qos ?? 1, retain: command.retain === true };
+    if (connection.options.protocolVersion === 5 && getOriginId() && plugin.config.echoOriginField) {
+      // Lets our own rules recognise the command as an echo if they subscribe to it
+      options.properties = { userProperties: { [plugin.config.echoOriginField]: getOriginId() } };
+    }
+
+    // A newer request for the same path replaces one still waiting
+    finishPendingCommand(key, 409, 'Superseded by a newer request');
+    const confirm = command.confirm !== false;
+    if (confirm) {
+      const timeout = command.timeout || DEFAULT_COMMAND_TIMEOUT;
+      pendingCommands.set(key, {
+        value: value,
+        lastValue: undefined,
+        callback: callback,
+        timer: setTimeout(() => {
+          const pending = pendingCommands.get(key);
+          const last = pending && pending.lastValue !== undefined ? ` (last reported ${JSON.stringify(pending.lastValue)})` : '';
+          finishPendingCommand(key, 504, `Device did not confirm ${path} within ${timeout}s${last}`);
+        }, timeout * 1000)
+      });
+    }
+
+    app.debug(`🎛️ PUT ${path} = ${JSON.stringify(value)}: publishing ${payload} to ${topic}`);
+    connection.client.publish(topic, payload, options, (err) => {
+      if (err) {
+        app.debug(`❌ Failed to publish command to ${topic}: ${err.message}`);
+        if (confirm) {
+          finishPendingCommand(key, 502, `Failed to publish command: ${err.message}`);
+        } else {
+          callback({ state: 'COMPLETED', statusCode: 502, message: `Failed to publish command: ${err.message}` });
+        }
+      } else if (!confirm) {
+        callback({ state: 'COMPLETED', statusCode: 200 });
+      }
+    });
+
+    return { state: 'PENDING' };
   }
 
-  // Extract SignalK context from MQTT topic
-  function extractContextFromTopic(topic, rule) {
-    // Remove prefix if present
-    let cleanTopic = topic;
-    if (plugin.config.topicPrefix) {
-      cleanTopic = cleanTopic.replace(`${plugin.config.topicPrefix}/`, '');
+  // The command payload: {value} is the requested value (after valueMap, e.g.
+  // { "true": "ON", "false": "OFF" }) and {name} the captures of the state topic
+  function renderCommandPayload(command, value, captures) {
+    let text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (command.valueMap && Object.prototype.hasOwnProperty.call(command.valueMap, String(value))) {
+      text = String(command.valueMap[String(value)]);
     }
+    return renderTemplate(command.payload || '{value}', { ...captures, value: text });
+  }
 
-    const parts = cleanTopic.split('/');
-    
-    if (parts[0] === 'vessels' && parts.length > 2) {
-      const vesselId = parts[1];
-      
-      // Check if this is the self vessel's URN (handle both formats)
-      if (selfVesselUrn && (urnToMqttFormat(selfVesselUrn) === vesselId || selfVesselUrn === vesselId)) {
-        return 'vessels.self';
+  // Complete PUTs whose requested value has now been reported by the device
+  function confirmPendingCommands(delta) {
+    if (pendingCommands.size === 0) return;
+    delta.updates.forEach(update => (update.values || []).forEach(valueUpdate => {
+      const key = commandKey(delta.context, valueUpdate.path);
+      const pending = pendingCommands.get(key);
+      if (!pending) return;
+      if (commandValueMatches(pending.value, valueUpdate.value)) {
+        app.debug(`🎛️ ${valueUpdate.path} confirmed as ${JSON.stringify(valueUpdate.value)}`);
+        finishPendingCommand(key, 200);
+      } else {
+        pending.lastValue = valueUpdate.value;
       }
-      
-      // Handle URN format (both underscore and colon)
-      if (vesselId.startsWith('urn_')) {
-        return `vessels.${mqttFormatToUrn(vesselId)}`;
-      } else if (vesselId.startsWith('urn:')) {
-        return `vessels.${vesselId}`;
+    }));
+  }
+
+  // Switch states may be reported as booleans or numbers, e.g. true for a PUT of 1
+  function commandValueMatches(requested, reported) {
+    if (JSON.stringify(requested) === JSON.stringify(reported)) return true;
+    const scalar = value => typeof value === 'boolean' || typeof value === 'number';
+    return scalar(requested) && scalar(reported) && Number(requested) === Number(reported);
+  }
+
+  function finishPendingCommand(key, statusCode, message) {
+    const pending = pendingCommands.get(key);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pendingCommands.delete(key);
+    pending.callback(message ? { state: 'COMPLETED', statusCode: statusCode, message: message } : { state: 'COMPLETED', statusCode: statusCode });
+  }
+
+  function stopCommands() {
+    Array.from(pendingCommands.keys()).forEach(key => finishPendingCommand(key, 503, 'MQTT import plugin stopped'));
+    putHandlers.forEach((unregister, key) => {
+      if (unregister) {
+        unregister();
+        putHandlers.delete(key);
       }
-      
-      // Handle other formats
-      return `vessels.${vesselId}`;
-    }
-    
-    // Fallback to vessels.self
-    return 'vessels.self';
+    });
+    commandTargets.clear();
   }
 
-  // Extract SignalK path from MQTT topic
-  function extractPathFromTopic(topic, rule) {
-    // Remove prefix if present
-    let cleanTopic = topic;
-    if (plugin.config.topicPrefix) {
-      cleanTopic = cleanTopic.replace(`${plugin.config.topicPrefix}/`, '');
+  function describeCommandTargets() {
+    return Array.from(commandTargets.entries()).map(([key, target]) => {
+      const separator = key.indexOf('|');
+      const rule = importRules.find(r => r.id === target.ruleId);
+      return {
+        context: key.slice(0, separator),
+        path: key.slice(separator + 1),
+        ruleId: target.ruleId,
+        ruleName: rule ? rule.name : null,
+        broker: target.broker,
+        commandTopic: rule && rule.command ? renderTemplate(rule.command.topic, target.captures) : null,
+        pending: pendingCommands.has(key)
+      };
+    });
+  }
+
+  function validateCommand(command) {
+    if (!command || typeof command !== 'object' || Array.isArray(command)) {
+      return ['command must be an object'];
     }
 
-    // Default path extraction: convert topic to SignalK path
-    // e.g., "vessels/self/navigation/position" -> "navigation.position"
-    const parts = cleanTopic.split('/');
-    
-    // Remove context parts (vessels/self or vessels/urn_...)
-    if (parts[0] === 'vessels' && parts.length > 2) {
-      return parts.slice(2).join('.');
+    const errors = [];
+    if (typeof command.topic !== 'string' || command.topic.trim() === '') {
+      errors.push('command.topic must be a non-empty topic');
+    } else if (/[+#]/.test(command.topic)) {
+      errors.push('command.topic must not contain wildcards; use {name} captures of the rule topic');
     }
-    
-    // Fallback: use the entire topic as path
-    return cleanTopic.replace(/\//g, '.');
+    if (command.payload !== undefined && typeof command.payload !== 'string') {
+      errors.push('command.payload must be a string template');
+    }
+    if (command.valueMap !== undefined && (typeof command.valueMap !== 'object' || command.valueMap === null || Array.isArray(command.valueMap))) {
+      errors.push('command.valueMap must be an object of value to payload text');
+    }
+    if (command.qos !== undefined && ![0, 1, 2].includes(command.qos)) {
+      errors.push('command.qos must be 0, 1 or 2');
+    }
+    if (command.timeout !== undefined && !(typeof command.timeout === 'number' && command.timeout > 0)) {
+      errors.push('command.timeout must be a positive number of seconds');
+    }
+    ['retain', 'confirm'].forEach(field => {
+      if (command[field] !== undefined && typeof command[field] !== 'boolean') {
+        errors.push(`command.${field} must be true or false`);
+      }
+    });
+    return errors;
   }
 
-  // Send data to SignalK
-  function sendToSignalK(signalKData, rule) {
+  // Device discovery
+  // With deviceDiscovery on, Home Assistant discovery announcements
+  // (<prefix>/<component>/[<node_id>/]<object_id>/config) are turned into proposed import
+  // rules: the state topic and value template become the topic and payload format, the
+  // device class the SignalK path, and the unit of measurement an SI conversion. Proposals
+  // wait for approval in the webapp (or are added straight away with auto-approve), and an
+  // empty announcement, which retracts the device, removes its proposal and rule.
+  function isDeviceDiscoveryTopic(topic) {
+    if (!plugin.config.deviceDiscovery) return false;
+    const prefix = `${plugin.config.deviceDiscoveryPrefix}/`;
+    if (!topic.startsWith(prefix) || !topic.endsWith('/config')) return false;
+    const levels = topic.slice(prefix.length).split('/').length;
+    return levels === 3 || levels === 4;
+  }
+
+  function handleDeviceDiscovery(connection, topic, messageStr) {
+    const levels = topic.slice(plugin.config.deviceDiscoveryPrefix.length + 1).split('/');
+    const id = levels.slice(0, -1).join('/');
+    const component = levels[0];
+
+    if (messageStr.trim() === '') {
+      retractDiscoveredDevice(id);
+      return;
+    }
+    if (!HA_DISCOVERY_COMPONENTS.includes(component)) {
+      app.debug(`Device discovery: ${component} entities are not supported (${id})`);
+      return;
+    }
+
+    let config;
     try {
-      // Validate the data structure
-      if (!signalKData.context || !signalKData.updates || !Array.isArray(signalKData.updates)) {
-        app.debug('Invalid SignalK data structure');
-        return;
+      config = expandDiscoveryConfig(JSON.parse(messageStr));
+    } catch (error) {
+      app.debug(`Device discovery: invalid announcement on ${topic}: ${error.message}`);
+      return;
+    }
+
+    const proposal = buildDiscoveredRule(id, levels, config, connection);
+    if (proposal.error) {
+      app.debug(`Device discovery: ${id} skipped - ${proposal.error}`);
+      return;
+    }
+
+    const isNew = !discoveredDevices.has(id);
+    discoveredDevices.set(id, {
+      id: id,
+      component: component,
+      name: proposal.rule.name,
+      device: config.device && config.device.name ? config.device.name : null,
+      broker: connection.id,
+      stateTopic: config.state_topic,
+      deviceClass: config.device_class || null,
+      unit: config.unit_of_measurement || null,
+      rule: proposal.rule,
+      warnings: proposal.warnings,
+      announcedAt: new Date().toISOString()
+    });
+    if (isNew) {
+      app.debug(`🏠 Device discovered: ${proposal.rule.name} (${id}) -> ${proposal.path}`);
+    }
+
+    if (plugin.config.deviceDiscoveryAutoApprove && !ignoredDiscoveries.has(id) && !findDiscoveredRule(id)) {
+      const newRules = [...importRules, proposal.rule];
+      const validation = validateRuleSet(newRules);
+      if (validation.errors.length > 0) {
+        app.debug(`Device discovery: rule for ${id} not created: ${validation.errors.join('; ')}`);
+      } else if (applyRules(newRules)) {
+        app.debug(`🏠 Created rule "${proposal.rule.name}" for discovered device ${id}`);
       }
+    }
+  }
 
-      // Apply any transformations if configured
-      if (rule.transformValue && typeof rule.transformValue === 'function') {
-        signalKData.updates.forEach(update => {
-          if (update.values) {
-            update.values.forEach(valueUpdate => {
-              valueUpdate.value = rule.transformValue(valueUpdate.value);
-            });
-          }
-        });
+  // Expand abbreviated keys and the "~" base topic
+  function expandDiscoveryConfig(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('announcement must be a JSON object');
+    }
+    const config = {};
+    Object.keys(raw).forEach(key => {
+      config[HA_ABBREVIATIONS[key] || key] = raw[key];
+    });
+    const base = config['~'];
+    if (typeof base === 'string') {
+      ['state_topic', 'command_topic'].forEach(key => {
+        if (typeof config[key] === 'string') {
+          config[key] = config[key].replace(/^~/, base).replace(/~$/, base);
+        }
+      });
+    }
+    return config;
+  }
+
+  // The import rule proposed for an announced entity, or { error }
+  function buildDiscoveredRule(id, levels, config, connection) {
+    const component = levels[0];
+    const objectId = levels[levels.length - 2];
+    const nodeId = levels.length === 4 ? levels[1] : null;
+    const warnings = [];
+
+    if (typeof config.state_topic !== 'string' || config.state_topic === '') {
+      return { error: 'no state_topic' };
+    }
+    const mqttTopic = stripTopicPrefix(config.state_topic, connection);
+    if (connection.topicPrefix && mqttTopic === config.state_topic) {
+      return { error: `state topic ${config.state_topic} is outside the broker's topic prefix` };
+    }
+
+    // SignalK path
+    const entityId = toCamelCase(objectId);
+    let pathTemplate;
+    if (component === 'switch') {
+      pathTemplate = 'electrical.switches.{id}.state';
+    } else if (component === 'binary_sensor') {
+      pathTemplate = 'sensors.{id}.state';
+    } else {
+      pathTemplate = HA_DEVICE_CLASS_PATHS[config.device_class];
+      if (!pathTemplate) {
+        pathTemplate = 'sensors.{id}.value';
+        warnings.push(config.device_class
+          ? `No SignalK path known for device class "${config.device_class}"`
+          : 'No device class announced');
       }
+    }
+    const path = pathTemplate.replace('{id}', entityId);
 
-      // Send to SignalK
-      app.handleMessage(plugin.id, signalKData);
-      
-      app.debug(`✅ Imported to SignalK: ${signalKData.context} - ${signalKData.updates.length} updates`);
+    // Value transforms
+    const transforms = [];
+    if (component === 'sensor') {
+      const unit = config.unit_of_measurement;
+      if (unit && HA_UNIT_CONVERSIONS[unit]) {
+        transforms.push({ type: 'convert', conversion: HA_UNIT_CONVERSIONS[unit] });
+      } else if (unit && !HA_SI_UNITS.includes(unit)) {
+        warnings.push(`Unit "${unit}" is imported without conversion`);
+      }
+    } else {
+      const on = String(config.state_on ?? config.payload_on ?? 'ON');
+      const off = String(config.state_off ?? config.payload_off ?? 'OFF');
+      transforms.push(component === 'switch'
+        ? { type: 'boolean', trueValues: [on], falseValues: [off], trueValue: 1, falseValue: 0 }
+        : { type: 'boolean', trueValues: [on], falseValues: [off] });
+    }
+
+    const rule = {
+      id: `ha-${id.replace(/[^A-Za-z0-9_-]/g, '-')}`,
+      name: [config.device && config.device.name, config.name || objectId].filter(Boolean).join(' '),
+      mqttTopic: mqttTopic,
+      brokers: [connection.id],
+      signalKContext: 'vessels.self',
+      signalKPath: path,
+      sourceLabel: nodeId || 'homeassistant',
+      enabled: true,
+      payloadFormat: 'value-only',
+      continueMatching: true, // Several entities often share one state topic
+      allowSelfContext: true,
+      ignoreDuplicates: true,
+      excludeMMSI: '',
+      transforms: transforms,
+      discoveryId: id
+    };
+
+    // Value template: {{ value }} or a field of the JSON payload
+    const template = parseValueTemplate(config.value_template);
+    if (template.unsupported) {
+      warnings.push(`value_template "${config.value_template}" can't be translated; the whole payload is imported`);
+    } else if (template.selector) {
+      rule.payloadFormat = 'fields';
+      rule.signalKPath = '';
+      rule.transforms = [];
+      rule.fieldMappings = [{ selector: template.selector, path: path, transforms: transforms }];
+    }
+
+    if (component === 'switch' && typeof config.command_topic === 'string') {
+      const on = String(config.payload_on ?? 'ON');
+      const off = String(config.payload_off ?? 'OFF');
+      rule.command = {
+        topic: stripTopicPrefix(config.command_topic, connection),
+        valueMap: { '1': on, '0': off, 'true': on, 'false': off }
+      };
+    }
+
+    return { rule: rule, path: path, warnings: warnings };
+  }
+
+  // Translate the common value templates, e.g. "{{ value_json.DS18B20.Temperature }}"
+  // or "{{ value_json['temp'] | float }}"; returns { selector }, {} for the whole payload,
+  // or { unsupported }
+  function parseValueTemplate(template) {
+    if (typeof template !== 'string' || template.trim() === '') return {};
+    const match = template.trim().match(
+      /^\{\{\s*(value_json((?:\.[A-Za-z_]\w*|\[\s*(?:\d+|'[^']*'|"[^"]*")\s*\])+)|value)\s*((?:\|\s*(?:float|int|round(?:\(\s*\d*\s*\))?)\s*)*)\}\}$/);
+    if (!match) return { unsupported: true };
+    if (match[1] === 'value') return {};
+    return { selector: match[2].replace(/^\./, '') };
+  }
+
+  function toCamelCase(text) {
+    const words = String(text).split(/[^A-Za-z0-9]+/).filter(word => word.length > 0);
+    return words.map((word, index) => (index === 0
+      ? word.charAt(0).toLowerCase() + word.slice(1)
+      : word.charAt(0).toUpperCase() + word.slice(1))).join('') || 'device';
+  }
+
+  function findDiscoveredRule(id) {
+    return importRules.find(rule => rule.discoveryId === id);
+  }
+
+  function retractDiscoveredDevice(id) {
+    const known = discoveredDevices.delete(id);
+    const rule = findDiscoveredRule(id);
+    if (rule) {
+      applyRules(importRules.filter(r => r !== rule));
+      app.debug(`🏠 Device ${id} retracted - rule "${rule.name}" removed`);
+    } else if (known) {
+      app.debug(`🏠 Device ${id} retracted`);
+    }
+    if (ignoredDiscoveries.delete(id)) {
+      saveIgnoredDiscoveries();
+    }
+  }
+
+  function describeDiscoveredDevice(entry) {
+    const rule = findDiscoveredRule(entry.id);
+    return {
+      ...entry,
+      status: rule ? 'approved' : (ignoredDiscoveries.has(entry.id) ? 'ignored' : 'pending'),
+      ruleId: rule ? rule.id : null
+    };
+  }
+
+  function getIgnoredDiscoveriesFilePath() {
+    return path.join(app.getDataDirPath(), 'mqtt-import-discovery-ignored.json');
+  }
+
+  function loadIgnoredDiscoveries() {
+    ignoredDiscoveries = new Set();
+    try {
+      const filePath = getIgnoredDiscoveriesFilePath();
+      if (fs.existsSync(filePath)) {
+        ignoredDiscoveries = new Set(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      }
     } catch (error) {
-      app.debug(`Error sending to SignalK: ${error.message}`);
+      app.debug(`Error loading ignored discoveries: ${error.message}`);
+    }
+  }
+
+  function saveIgnoredDiscoveries() {
+    try {
+      fs.writeFileSync(getIgnoredDiscoveriesFilePath(), JSON.stringify(Array.from(ignoredDiscoveries), null, 2));
+    } catch (error) {
+      app.debug(`Error saving ignored discoveries: ${error.message}`);
     }
   }
 
   // Get default import rules
   function getDefaultImportRules() {
+    // Rules are applied in order: the specific rules come before the catch-all
     return [
-      {
-        id: 'vessels-all-data',
-        name: 'All Vessel Data (Auto-detect Self)',
-        mqttTopic: 'vessels/urn_mrn_imo_mmsi_+/#',
-        signalKContext: '', // Will be extracted from topic (auto-detect self)
-        signalKPath: '', // Will be extracted from topic
-        sourceLabel: '',
-        enabled: true,
-        payloadFormat: 'full',
-        ignoreDuplicates: true,
-        excludeMMSI: ''
-      },
       {
         id: 'vessels-navigation',
         name: 'Navigation Data (All Vessels)',
@@ -517,6 +3971,8 @@ module.exports = function(app) {
         sourceLabel: '',
         enabled: true,
         payloadFormat: 'full',
+        continueMatching: false,
+        allowSelfContext: true,
         ignoreDuplicates: true,
         excludeMMSI: ''
       },
@@ -529,6 +3985,8 @@ module.exports = function(app) {
         sourceLabel: '',
         enabled: true,
         payloadFormat: 'full',
+        continueMatching: false,
+        allowSelfContext: true,
         ignoreDuplicates: true,
         excludeMMSI: ''
       },
@@ -541,6 +3999,8 @@ module.exports = function(app) {
         sourceLabel: '',
         enabled: false, // Disabled by default
         payloadFormat: 'full',
+        continueMatching: false,
+        allowSelfContext: true,
         ignoreDuplicates: true
       },
       {
@@ -552,20 +4012,166 @@ module.exports = function(app) {
         sourceLabel: '',
         enabled: false, // Disabled by default
         payloadFormat: 'full',
+        continueMatching: false,
+        allowSelfContext: true,
         ignoreDuplicates: true
+      },
+      {
+        id: 'vessels-all-data',
+        name: 'All Vessel Data (Auto-detect Self)',
+        mqttTopic: 'vessels/urn_mrn_imo_mmsi_+/#',
+        signalKContext: '', // Will be extracted from topic (auto-detect self)
+        signalKPath: '', // Will be extracted from topic
+        sourceLabel: '',
+        enabled: true,
+        payloadFormat: 'full',
+        continueMatching: false,
+        allowSelfContext: true,
+        ignoreDuplicates: true,
+        excludeMMSI: ''
       }
     ];
   }
 
   // Update MQTT subscriptions when rules change
   function updateMQTTSubscriptions() {
-    if (mqttClient && mqttClient.connected) {
-      // Unsubscribe from all topics first
-      mqttClient.unsubscribe('#');
-      
-      // Re-subscribe based on current rules
-      subscribeToMQTTTopics();
+    connections.forEach(connection => subscribeToMQTTTopics(connection));
+  }
+
+  // Topic discovery
+  // The topic browser subscribes to a filter with its own MQTT client, so discovery
+  // never changes what the import client receives or imports twice
+  function startDiscovery(filter, duration, connection) {
+    stopDiscovery();
+
+    // Discovery clients never keep a session on the broker
+    const clientId = `${connection.clientId}-discovery-${Math.random().toString(16).slice(2, 8)}`;
+    const options = { ...buildMQTTOptions(connection, clientId), clean: true };
+    delete options.properties;
+    const client = mqtt.connect(connection.url, options);
+    discovery = {
+      client: client,
+      connection: connection,
+      filter: filter,
+      startedAt: Date.now(),
+      expiresAt: Date.now() + duration * 1000,
+      topics: new Map(),
+      changed: new Set(),
+      truncated: false,
+      flushTimer: setInterval(flushDiscoveryUpdates, 1000),
+      stopTimer: setTimeout(stopDiscovery, duration * 1000)
+    };
+
+    client.on('connect', () => {
+      client.subscribe(filter, { qos: 0 }, (err) => {
+        if (err) {
+          app.debug(`❌ Discovery failed to subscribe to ${filter}: ${err.message}`);
+        } else {
+          app.debug(`🔎 Discovering topics under ${filter}`);
+        }
+      });
+    });
+    client.on('error', (error) => {
+      app.debug(`❌ Discovery client error: ${error.message}`);
+    });
+    client.on('message', (topic, message, packet) => {
+      recordDiscoveredTopic(topic, message, packet);
+    });
+
+    broadcastDiscoveryEvent('status', getDiscoveryStatus());
+  }
+
+  function stopDiscovery() {
+    if (!discovery) return;
+
+    clearInterval(discovery.flushTimer);
+    clearTimeout(discovery.stopTimer);
+    discovery.client.end(true);
+    app.debug(`🔎 Topic discovery for ${discovery.filter} stopped (${discovery.topics.size} topics)`);
+    discovery.active = false;
+    discovery.client = null;
+    discovery.flushTimer = null;
+    discovery.stopTimer = null;
+    broadcastDiscoveryEvent('status', getDiscoveryStatus());
+  }
+
+  function recordDiscoveredTopic(topic, message, packet) {
+    if (!discovery) return;
+
+    const now = Date.now();
+    let entry = discovery.topics.get(topic);
+    if (!entry) {
+      if (discovery.topics.size >= DISCOVERY_MAX_TOPICS) {
+        discovery.truncated = true;
+        return;
+      }
+      entry = { topic: topic, count: 0, bytes: 0, firstSeen: now };
+      discovery.topics.set(topic, entry);
     }
+
+    entry.count++;
+    entry.bytes += message.length;
+    entry.lastSeen = now;
+    entry.retained = entry.retained || Boolean(packet && packet.retain);
+    entry.lastPayload = message.toString().slice(0, DISCOVERY_PAYLOAD_EXCERPT);
+    entry.rate = entry.count > 1 ? (entry.count - 1) / ((now - entry.firstSeen) / 1000) : 0;
+    discovery.changed.add(topic);
+  }
+
+  // Send topics that changed in the last second to the open browsers
+  function flushDiscoveryUpdates() {
+    if (!discovery || discovery.changed.size === 0) return;
+    const topics = Array.from(discovery.changed).map(topic => describeDiscoveredTopic(discovery.topics.get(topic)));
+    discovery.changed.clear();
+    broadcastDiscoveryEvent('topics', topics);
+  }
+
+  function describeDiscoveredTopic(entry) {
+    return { ...entry, matchedRule: findRuleForTopic(entry.topic, discovery.connection) };
+  }
+
+  // The first rule that would import a topic received on a connection, or null
+  function findRuleForTopic(receivedTopic, connection) {
+    const topic = stripTopicPrefix(receivedTopic, connection);
+    const rule = matchTopicRules(topic).find(r => ruleUsesConnection(r, connection) && !isMMSIExcluded(topic, r));
+    return rule ? { id: rule.id, name: rule.name } : null;
+  }
+
+  function getDiscoveryStatus() {
+    return {
+      active: Boolean(discovery && discovery.client),
+      broker: discovery ? discovery.connection.id : null,
+      filter: discovery ? discovery.filter : null,
+      startedAt: discovery ? new Date(discovery.startedAt).toISOString() : null,
+      expiresAt: discovery && discovery.client ? new Date(discovery.expiresAt).toISOString() : null,
+      topicCount: discovery ? discovery.topics.size : 0,
+      truncated: discovery ? discovery.truncated : false
+    };
+  }
+
+  // Nested topic tree with message counts summed per level
+  function buildDiscoveryTree() {
+    const root = { name: '', path: '', count: 0, children: {} };
+    if (!discovery) return root;
+
+    discovery.topics.forEach(entry => {
+      let node = root;
+      root.count += entry.count;
+      entry.topic.split('/').forEach((level, index, levels) => {
+        if (!node.children[level]) {
+          node.children[level] = { name: level, path: levels.slice(0, index + 1).join('/'), count: 0, children: {} };
+        }
+        node = node.children[level];
+        node.count += entry.count;
+      });
+      node.topic = describeDiscoveredTopic(entry);
+    });
+    return root;
+  }
+
+  function broadcastDiscoveryEvent(event, data) {
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    discoveryStreams.forEach(res => res.write(payload));
   }
 
   // Plugin webapp routes
@@ -576,12 +4182,18 @@ module.exports = function(app) {
     
     // API Routes
     
+    // Rule changes are checked against the ETag the client last saw (If-Match) so that
+    // concurrent edits from two browsers don't silently overwrite each other
+
     // Get current import rules
     router.get('/api/rules', (req, res) => {
+      const etag = getEtag(importRules);
+      res.set('ETag', etag);
       res.json({
         success: true,
         rules: importRules,
-        mqttConnected: mqttClient ? mqttClient.connected : false
+        etag: etag,
+        mqttConnected: isAnyConnectionUp()
       });
     });
 
@@ -592,41 +4204,365 @@ module.exports = function(app) {
         if (!Array.isArray(newRules)) {
           return res.status(400).json({ success: false, error: 'Rules must be an array' });
         }
+        if (!checkIfMatch(req, res, getEtag(importRules))) return;
 
-        importRules = newRules;
-        
-        // Save rules to persistent storage
-        if (saveRulesToStorage(newRules)) {
-          // Update MQTT subscriptions with new rules
-          updateMQTTSubscriptions();
-          
-          res.json({ success: true, message: 'Import rules updated and saved to persistent storage' });
-        } else {
-          res.status(500).json({ success: false, error: 'Failed to save rules to persistent storage' });
+        // Reject rules whose fields, transforms or field mappings are invalid
+        if (!sendValidationErrors(res, newRules)) return;
+
+        commitRules(newRules, res, 'Import rules updated and saved to persistent storage');
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Export the rule set, e.g. to keep it in version control
+    router.get('/api/rules/export', (req, res) => {
+      res.set('Content-Disposition', 'attachment; filename="mqtt-import-rules.json"');
+      res.set('ETag', getEtag(importRules));
+      res.json({
+        format: RULES_EXPORT_FORMAT,
+        schemaVersion: RULES_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        rules: importRules
+      });
+    });
+
+    // Import a rule set: an export document or { rules }, with mode "replace" (default)
+    // or "merge" (rules with a known id are replaced in place, new rules are appended)
+    router.post('/api/rules/import', (req, res) => {
+      try {
+        const body = req.body || {};
+        const mode = req.query.mode || body.mode || 'replace';
+        if (!Array.isArray(body.rules)) {
+          return res.status(400).json({ success: false, error: 'Rules must be an array' });
+        }
+        if (body.format !== undefined && body.format !== RULES_EXPORT_FORMAT) {
+          return res.status(400).json({ success: false, error: `Unknown export format "${body.format}"` });
+        }
+        if (mode !== 'replace' && mode !== 'merge') {
+          return res.status(400).json({ success: false, error: 'mode must be "replace" or "merge"' });
+        }
+        if (!checkIfMatch(req, res, getEtag(importRules))) return;
+
+        // Export documents and bodies naming a schemaVersion are migrated; a plain
+        // { rules } body holds current rules, as for POST /api/rules
+        const rules = body.format !== undefined || body.schemaVersion !== undefined
+          ? migrateRules(body.rules, body.schemaVersion || 1)
+          : body.rules;
+        let newRules = rules;
+        if (mode === 'merge') {
+          const imported = new Map(rules.filter(rule => rule && rule.id).map(rule => [rule.id, rule]));
+          newRules = importRules.map(rule => imported.get(rule.id) || rule)
+            .concat(rules.filter(rule => !rule || !importRules.some(existing => existing.id === rule.id)));
+        }
+        if (!sendValidationErrors(res, newRules)) return;
+
+        commitRules(newRules, res, `Imported ${body.rules.length} rules (${mode})`);
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Previous rule sets, newest first
+    router.get('/api/rules/history', (req, res) => {
+      try {
+        const currentEtag = getEtag(importRules);
+        res.json({
+          success: true,
+          history: listRuleHistory().map(entry => ({
+            id: entry.id,
+            savedAt: entry.savedAt,
+            ruleCount: entry.rules ? entry.rules.length : null,
+            current: entry.rules ? getEtag(entry.rules) === currentEtag : false,
+            error: entry.error
+          }))
+        });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // A previous rule set
+    router.get('/api/rules/history/:version', (req, res) => {
+      const entry = listRuleHistory().find(e => e.id === req.params.version);
+      if (!entry) {
+        return res.status(404).json({ success: false, error: `Version "${req.params.version}" not found` });
+      }
+      res.json({ success: true, id: entry.id, savedAt: entry.savedAt, rules: entry.rules, error: entry.error });
+    });
+
+    // Roll back to a previous rule set; the restored set is saved as a new version
+    router.post('/api/rules/history/:version/restore', (req, res) => {
+      try {
+        const entry = listRuleHistory().find(e => e.id === req.params.version);
+        if (!entry) {
+          return res.status(404).json({ success: false, error: `Version "${req.params.version}" not found` });
+        }
+        if (!entry.rules) {
+          return res.status(422).json({ success: false, error: `Version "${entry.id}" cannot be read: ${entry.error}` });
+        }
+        if (!checkIfMatch(req, res, getEtag(importRules))) return;
+        if (!sendValidationErrors(res, entry.rules)) return;
+
+        commitRules(entry.rules, res, `Rules restored from ${entry.savedAt}`);
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Get a single rule
+    router.get('/api/rules/:id', (req, res) => {
+      const rule = importRules.find(r => r.id === req.params.id);
+      if (!rule) {
+        return res.status(404).json({ success: false, error: `Rule "${req.params.id}" not found` });
+      }
+      res.set('ETag', getEtag(rule));
+      res.json({ success: true, rule: rule, etag: getEtag(rule) });
+    });
+
+    // Create or replace a single rule; new rules are appended to the rule order
+    // If-None-Match: * only creates, If-Match only replaces the version the client saw
+    router.put('/api/rules/:id', (req, res) => {
+      try {
+        const index = importRules.findIndex(r => r.id === req.params.id);
+        if (index >= 0 && req.get('If-None-Match') === '*') {
+          return res.status(412).json({ success: false, error: `Rule "${req.params.id}" already exists` });
+        }
+        if (index < 0 && req.get('If-Match')) {
+          return res.status(412).json({ success: false, error: `Rule "${req.params.id}" not found` });
+        }
+        if (index >= 0 && !checkIfMatch(req, res, getEtag(importRules[index]))) return;
+
+        const rule = { ...req.body, id: req.params.id };
+        saveSingleRule(index, rule, res);
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Change some fields of a rule
+    router.patch('/api/rules/:id', (req, res) => {
+      try {
+        const index = importRules.findIndex(r => r.id === req.params.id);
+        if (index < 0) {
+          return res.status(404).json({ success: false, error: `Rule "${req.params.id}" not found` });
+        }
+        if (!checkIfMatch(req, res, getEtag(importRules[index]))) return;
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+          return res.status(400).json({ success: false, error: 'Body must be an object of rule fields' });
+        }
+        if (req.body.id !== undefined && req.body.id !== req.params.id) {
+          return res.status(400).json({ success: false, error: 'id cannot be changed' });
+        }
+
+        saveSingleRule(index, { ...importRules[index], ...req.body }, res);
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Delete a rule
+    router.delete('/api/rules/:id', (req, res) => {
+      try {
+        const index = importRules.findIndex(r => r.id === req.params.id);
+        if (index < 0) {
+          return res.status(404).json({ success: false, error: `Rule "${req.params.id}" not found` });
+        }
+        if (!checkIfMatch(req, res, getEtag(importRules[index]))) return;
+
+        commitRules(importRules.filter((rule, i) => i !== index), res, `Rule "${req.params.id}" deleted`);
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Preview how a message would be imported, without sending it to SignalK
+    // Body: { topic, payload, rules? } - rules defaults to the saved rule set
+    router.post('/api/rules/test', (req, res) => {
+      try {
+        const { topic, payload, rules, broker, retained, encoding } = req.body || {};
+        const connection = connections.get(broker || DEFAULT_BROKER_ID);
+        if (!connection) {
+          return res.status(400).json({ success: false, error: `Unknown broker: ${broker}` });
+        }
+        if (typeof topic !== 'string' || topic.length === 0 || /[+#]/.test(topic)) {
+          return res.status(400).json({ success: false, error: 'A topic without wildcards is required' });
+        }
+        if (payload === undefined) {
+          return res.status(400).json({ success: false, error: 'A payload is required' });
+        }
+        // Binary payloads are sent as hex or base64 text
+        if (encoding !== undefined && !['utf8', 'hex', 'base64'].includes(encoding)) {
+          return res.status(400).json({ success: false, error: 'Encoding must be utf8, hex or base64' });
+        }
+        if (rules !== undefined && !Array.isArray(rules)) {
+          return res.status(400).json({ success: false, error: 'Rules must be an array' });
+        }
+
+        if (rules) {
+          const validation = validateRuleSet(rules);
+          if (validation.errors.length > 0) {
+            return res.status(400).json({
+              success: false,
+              error: validation.errors.join('; '),
+              errors: validation.errors,
+              fieldErrors: validation.fieldErrors
+            });
+          }
+        }
+
+        let text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+        if (encoding === 'hex') {
+          text = text.replace(/\s/g, ''); // Allows "01 a2 ff"
+        }
+        const message = Buffer.from(text, encoding || 'utf8');
+        res.json({
+          success: true,
+          result: dryRunMessage(topic, message.toString(), rules || importRules, connection, retained === true, message)
+        });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Recent messages that could not be imported, newest first
+    // Query: reason, topic (substring), ruleId, limit
+    router.get('/api/dead-letters', (req, res) => {
+      try {
+        const { reason, topic, ruleId } = req.query;
+        const limit = Number(req.query.limit) > 0 ? Number(req.query.limit) : deadLetters.length;
+        const matching = deadLetters.filter(entry =>
+          (!reason || entry.reason === reason) &&
+          (!topic || entry.topic.includes(topic)) &&
+          (!ruleId || entry.ruleId === ruleId));
+
+        res.json({
+          success: true,
+          counts: deadLetterCounts,
+          size: plugin.config.deadLetterSize,
+          total: matching.length,
+          deadLetters: matching.slice(-limit).reverse()
+        });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Clear the dead-letter buffer and counts
+    router.delete('/api/dead-letters', (req, res) => {
+      try {
+        clearDeadLetters();
+        res.json({ success: true, message: 'Dead letters cleared' });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Entities announced through Home Assistant discovery and their proposed rules
+    router.get('/api/device-discovery', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          enabled: plugin.config.deviceDiscovery === true,
+          prefix: plugin.config.deviceDiscoveryPrefix,
+          autoApprove: plugin.config.deviceDiscoveryAutoApprove === true,
+          devices: Array.from(discoveredDevices.values()).map(describeDiscoveredDevice)
+        });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Add the proposed rule of a discovered device
+    router.post('/api/device-discovery/:id/approve', (req, res) => {
+      try {
+        const entry = discoveredDevices.get(req.params.id);
+        if (!entry) {
+          return res.status(404).json({ success: false, error: `Device ${req.params.id} not found` });
+        }
+        if (findDiscoveredRule(entry.id)) {
+          return res.status(409).json({ success: false, error: `Device ${entry.id} already has a rule` });
+        }
+
+        const newRules = [...importRules, entry.rule];
+        if (!sendValidationErrors(res, newRules)) return;
+        if (ignoredDiscoveries.delete(entry.id)) {
+          saveIgnoredDiscoveries();
         }
+        commitRules(newRules, res, `Rule "${entry.rule.name}" created`);
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Stop proposing a discovered device (its rule, if any, is left alone)
+    router.post('/api/device-discovery/:id/ignore', (req, res) => {
+      try {
+        if (!discoveredDevices.has(req.params.id)) {
+          return res.status(404).json({ success: false, error: `Device ${req.params.id} not found` });
+        }
+        ignoredDiscoveries.add(req.params.id);
+        saveIgnoredDiscoveries();
+        res.json({ success: true, message: `Device ${req.params.id} ignored` });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Paths that accept PUTs because their rule has a command topic
+    router.get('/api/commands', (req, res) => {
+      try {
+        res.json({ success: true, commands: describeCommandTargets() });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Message counters for the plugin, per rule and per top-level topic
+    router.get('/api/metrics', (req, res) => {
+      try {
+        res.json({ success: true, metrics: getMetricsSnapshot() });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // The same counters in Prometheus text format, for scraping
+    router.get('/api/metrics/prometheus', (req, res) => {
+      try {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(formatPrometheusMetrics());
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
       }
     });
 
-    // Get MQTT connection status
+    // Get MQTT connection status, overall and per broker connection
     router.get('/api/mqtt-status', (req, res) => {
+      const defaultConnection = connections.get(DEFAULT_BROKER_ID);
       res.json({
         success: true,
-        connected: mqttClient ? mqttClient.connected : false,
-        broker: plugin.config.mqttBroker,
-        clientId: plugin.config.mqttClientId
+        connected: isAnyConnectionUp(),
+        broker: defaultConnection ? getBrokerDisplayName(defaultConnection) : null,
+        clientId: defaultConnection ? defaultConnection.clientId : null,
+        connections: Array.from(connections.values()).map(describeConnection)
       });
     });
 
-    // Test MQTT connection
+    // Test MQTT connections
     router.post('/api/test-mqtt', (req, res) => {
       try {
-        if (!mqttClient || !mqttClient.connected) {
-          return res.status(503).json({ success: false, error: 'MQTT not connected' });
+        const described = Array.from(connections.values()).map(describeConnection);
+        const connected = described.filter(connection => connection.connected);
+        if (connected.length === 0) {
+          return res.status(503).json({ success: false, error: 'MQTT not connected', connections: described });
         }
 
-        res.json({ success: true, message: 'MQTT connection is active and receiving messages' });
+        res.json({
+          success: true,
+          message: `${connected.length} of ${described.length} MQTT connections active: ${connected.map(c => c.name).join(', ')}`,
+          connections: described
+        });
       } catch (error) {
         res.status(500).json({ success: false, error: error.message });
       }
@@ -638,8 +4574,15 @@ module.exports = function(app) {
         const stats = {
           totalRules: importRules.length,
           enabledRules: importRules.filter(r => r.enabled).length,
-          messagesReceived: lastReceivedMessages.size,
-          mqttConnected: mqttClient ? mqttClient.connected : false
+          messagesReceived: metrics.totals.received,
+          loopsSuppressed: loopsSuppressed.total,
+          deadLetters: Object.values(deadLetterCounts).reduce((sum, count) => sum + count, 0),
+          loopsSuppressedByReason: {
+            origin: loopsSuppressed.origin,
+            source: loopsSuppressed.source,
+            fingerprint: loopsSuppressed.fingerprint
+          },
+          mqttConnected: isAnyConnectionUp()
         };
         
         res.json({ success: true, stats: stats });
@@ -648,6 +4591,61 @@ module.exports = function(app) {
       }
     });
 
+    // Start topic discovery
+    router.post('/api/discovery/start', (req, res) => {
+      try {
+        if (!plugin.config) {
+          return res.status(503).json({ success: false, error: 'Plugin not started' });
+        }
+
+        const filter = (req.body && req.body.filter) || '#';
+        const duration = Number((req.body && req.body.duration) || DISCOVERY_DEFAULT_DURATION);
+        const connection = connections.get((req.body && req.body.broker) || DEFAULT_BROKER_ID);
+        if (!connection) {
+          return res.status(400).json({ success: false, error: `Unknown broker: ${req.body.broker}` });
+        }
+        if (!isValidTopicFilter(filter)) {
+          return res.status(400).json({ success: false, error: `Invalid MQTT topic filter: ${filter}` });
+        }
+        if (!(duration > 0 && duration <= DISCOVERY_MAX_DURATION)) {
+          return res.status(400).json({ success: false, error: `duration must be between 1 and ${DISCOVERY_MAX_DURATION} seconds` });
+        }
+
+        startDiscovery(filter, duration, connection);
+        res.json({ success: true, discovery: getDiscoveryStatus() });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Stop topic discovery
+    router.post('/api/discovery/stop', (req, res) => {
+      stopDiscovery();
+      res.json({ success: true, discovery: getDiscoveryStatus() });
+    });
+
+    // Discovered topics, as a list and as a tree
+    router.get('/api/discovery', (req, res) => {
+      try {
+        const topics = discovery ? Array.from(discovery.topics.values()).map(describeDiscoveredTopic) : [];
+        res.json({ success: true, discovery: getDiscoveryStatus(), topics: topics, tree: buildDiscoveryTree() });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Live discovery updates as server-sent events
+    router.get('/api/discovery/events', (req, res) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write(`event: status\ndata: ${JSON.stringify(getDiscoveryStatus())}\n\n`);
+      discoveryStreams.add(res);
+      req.on('close', () => discoveryStreams.delete(res));
+    });
+
     // Serve static files
     const publicPath = path.join(__dirname, 'public');
     if (fs.existsSync(publicPath)) {
@@ -698,9 +4696,182 @@ module.exports = function(app) {
         description: 'Optional prefix for all MQTT topics',
         default: ''
       },
+      connectionOptions: CONNECTION_OPTIONS_SCHEMA,
+      brokers: {
+        type: 'array',
+        title: 'Additional MQTT Brokers',
+        description: 'More broker connections; import rules choose which brokers they subscribe on (the broker above has the id "default")',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['id', 'url'],
+          properties: {
+            id: {
+              type: 'string',
+              title: 'Id',
+              description: 'Short unique id used by import rules (e.g., shore, buddy-boat)'
+            },
+            name: {
+              type: 'string',
+              title: 'Name',
+              description: 'Display name (defaults to the id)'
+            },
+            enabled: {
+              type: 'boolean',
+              title: 'Enabled',
+              default: true
+            },
+            url: {
+              type: 'string',
+              title: 'MQTT Broker URL',
+              description: 'e.g., mqtt://broker.example.com:1883'
+            },
+            clientId: {
+              type: 'string',
+              title: 'MQTT Client ID',
+              description: 'Defaults to the client id above followed by -<id>'
+            },
+            username: {
+              type: 'string',
+              title: 'MQTT Username'
+            },
+            password: {
+              type: 'string',
+              title: 'MQTT Password'
+            },
+            topicPrefix: {
+              type: 'string',
+              title: 'Topic Prefix',
+              description: 'Prefix of all topics on this broker'
+            },
+            connectionOptions: CONNECTION_OPTIONS_SCHEMA
+          }
+        }
+      },
+      suppressEchoes: {
+        type: 'boolean',
+        title: 'Suppress Echoes',
+        description: 'Drop data this server exported to MQTT itself (e.g. via the MQTT Export plugin) when it comes back',
+        default: true
+      },
+      echoSourceLabels: {
+        type: 'string',
+        title: 'Echo Source Labels',
+        description: 'Comma-separated $source labels of this server; self vessel updates from these sources are treated as echoes (e.g., nmea0183, n2k-on-ve.can-socket)',
+        default: ''
+      },
+      echoOriginField: {
+        type: 'string',
+        title: 'Echo Origin Field',
+        description: 'Payload field or MQTT v5 user property carrying the publishing server\'s id',
+        default: 'origin'
+      },
+      echoOriginId: {
+        type: 'string',
+        title: 'Echo Origin Id',
+        description: 'Origin id that marks messages from this server (defaults to the self vessel URN)',
+        default: ''
+      },
+      echoFingerprintTtl: {
+        type: 'number',
+        title: 'Echo Fingerprint TTL (seconds)',
+        description: 'How long values emitted by this server are remembered to recognise their echoes',
+        default: 10
+      },
+      deadLetterSize: {
+        type: 'number',
+        title: 'Dead-Letter Buffer Size',
+        description: 'Number of recent messages that could not be imported to keep for inspection (0 disables the buffer)',
+        default: 200
+      },
+      persistDeadLetters: {
+        type: 'boolean',
+        title: 'Persist Dead Letters',
+        description: 'Write the dead-letter buffer to the plugin data directory so it survives restarts',
+        default: false
+      },
+      batchWindow: {
+        type: 'number',
+        title: 'Batch Window (ms)',
+        description: 'Send imported values to SignalK together, one delta per vessel, at most this many milliseconds after they arrive; a newer value for the same path replaces a waiting one (0 sends every message at once)',
+        default: 0
+      },
+      batchMaxValues: {
+        type: 'number',
+        title: 'Maximum Batch Size',
+        description: 'Send the batch early once this many values are waiting',
+        default: 500
+      },
+      deviceDiscovery: {
+        type: 'boolean',
+        title: 'Device Discovery',
+        description: 'Propose import rules for sensors and switches announced through Home Assistant MQTT discovery (Tasmota, ESPHome, Zigbee2MQTT, ...)',
+        default: false
+      },
+      deviceDiscoveryPrefix: {
+        type: 'string',
+        title: 'Discovery Prefix',
+        description: 'Topic prefix of the discovery announcements',
+        default: 'homeassistant'
+      },
+      deviceDiscoveryAutoApprove: {
+        type: 'boolean',
+        title: 'Create Discovered Rules Automatically',
+        description: 'Add rules for discovered devices without waiting for approval in the webapp',
+        default: false
+      }
     }
   };
 
+  // REST helpers for rule changes
+  function saveSingleRule(index, rule, res) {
+    const newRules = importRules.slice();
+    if (index >= 0) {
+      newRules[index] = rule;
+    } else {
+      newRules.push(rule);
+    }
+    if (!sendValidationErrors(res, newRules)) return;
+
+    if (applyRules(newRules)) {
+      res.set('ETag', getEtag(rule));
+      res.status(index >= 0 ? 200 : 201).json({ success: true, rule: rule, etag: getEtag(rule), rulesEtag: getEtag(newRules) });
+    } else {
+      res.status(500).json({ success: false, error: 'Failed to save rules to persistent storage' });
+    }
+  }
+
+  function commitRules(newRules, res, message) {
+    if (applyRules(newRules)) {
+      const etag = getEtag(newRules);
+      res.set('ETag', etag);
+      res.json({ success: true, message: message, etag: etag });
+    } else {
+      res.status(500).json({ success: false, error: 'Failed to save rules to persistent storage' });
+    }
+  }
+
+  function sendValidationErrors(res, rules) {
+    const validation = validateRuleSet(rules);
+    if (validation.errors.length === 0) return true;
+    res.status(400).json({
+      success: false,
+      error: validation.errors.join('; '),
+      errors: validation.errors,
+      fieldErrors: validation.fieldErrors
+    });
+    return false;
+  }
+
+  function checkIfMatch(req, res, etag) {
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch || ifMatch === '*' || ifMatch.split(',').map(tag => tag.trim()).includes(etag)) {
+      return true;
+    }
+    res.status(412).json({ success: false, error: 'Rules were changed since they were loaded; reload and try again', etag: etag });
+    return false;
+  }
+
   // Persistent storage functions
   function getRulesFilePath() {
     if (!rulesFilePath) {
@@ -710,24 +4881,119 @@ module.exports = function(app) {
     return rulesFilePath;
   }
 
+  function getRulesHistoryDir() {
+    return path.join(app.getDataDirPath(), 'mqtt-import-rules-history');
+  }
+
+  // Rules from the rules file, or null when there is none yet
+  // A file that cannot be read is kept aside and the newest readable version from the
+  // history is restored instead, so a corrupted write never silently drops all rules
   function loadRulesFromStorage() {
+    const filePath = getRulesFilePath();
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
     try {
-      const filePath = getRulesFilePath();
-      if (fs.existsSync(filePath)) {
-        const data = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(data);
-      }
+      return readRulesFile(filePath).rules;
     } catch (error) {
-      app.debug(`Error loading rules from storage: ${error.message}`);
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      app.error(`MQTT import rules file ${filePath} cannot be read (${error.message}); moved to ${corruptPath}`);
+      try {
+        fs.renameSync(filePath, corruptPath);
+      } catch (renameError) {
+        app.debug(`Error moving corrupted rules file: ${renameError.message}`);
+      }
+    }
+
+    const backup = listRuleHistory().find(entry => entry.rules);
+    if (backup) {
+      app.error(`Restored MQTT import rules saved at ${backup.savedAt}`);
+      saveRulesToStorage(backup.rules);
+      return backup.rules;
+    }
+    app.error('No readable MQTT import rules backup found - using the default rules');
+    return null;
+  }
+
+  // Read a rule file in any schema version and migrate its rules to the current one
+  function readRulesFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const document = Array.isArray(data) ? { schemaVersion: 1, rules: data } : data;
+    if (!document || !Array.isArray(document.rules)) {
+      throw new Error('file does not contain a rule set');
+    }
+    return {
+      savedAt: document.savedAt || null,
+      rules: migrateRules(document.rules, document.schemaVersion || 1)
+    };
+  }
+
+  // Saved versions of the rule set, newest first
+  function listRuleHistory() {
+    const historyDir = getRulesHistoryDir();
+    if (!fs.existsSync(historyDir)) return [];
+
+    return fs.readdirSync(historyDir)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(name => {
+        const id = name.slice(0, -'.json'.length);
+        try {
+          const document = readRulesFile(path.join(historyDir, name));
+          return { id: id, savedAt: document.savedAt, rules: document.rules };
+        } catch (error) {
+          return { id: id, savedAt: null, rules: null, error: error.message };
+        }
+      });
+  }
+
+  // Replace the rule set, rebuild matching and subscriptions and persist it
+  function applyRules(newRules) {
+    importRules = newRules;
+    compiledExpressions.clear();
+    compiledTopicTemplates.clear();
+    rebuildTopicMatcher();
+    // Areas may have changed; contexts are placed again as their data arrives
+    geoAreaContexts = new Map();
+    clearRemovedZones();
+    sendStaticMeta();
+    registerFixedCommandTargets();
+
+    // Save rules to persistent storage
+    if (!saveRulesToStorage(newRules)) {
+      return false;
     }
-    return getDefaultImportRules();
+    // Update MQTT subscriptions with new rules
+    updateMQTTSubscriptions();
+    return true;
+  }
+
+  // Strong ETag of a rule or rule set
+  function getEtag(value) {
+    return `"${crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex')}"`;
   }
 
+  // Save the rule set and add it to the history
+  // Files are written to a temporary file and renamed over the old one, so a power
+  // cut leaves either the previous or the new version, never a partial file
   function saveRulesToStorage(rules) {
     try {
       const filePath = getRulesFilePath();
-      fs.writeFileSync(filePath, JSON.stringify(rules, null, 2));
+      const savedAt = new Date().toISOString();
+      const contents = JSON.stringify({ schemaVersion: RULES_SCHEMA_VERSION, savedAt: savedAt, rules: rules }, null, 2);
+      writeFileAtomic(filePath, contents);
       app.debug(`Rules saved to: ${filePath}`);
+
+      try {
+        const historyDir = getRulesHistoryDir();
+        fs.ensureDirSync(historyDir);
+        writeFileAtomic(path.join(historyDir, `${savedAt.replace(/[:.]/g, '-')}.json`), contents);
+        pruneRuleHistory();
+      } catch (error) {
+        app.debug(`Error saving rules history: ${error.message}`);
+      }
       return true;
     } catch (error) {
       app.debug(`Error saving rules to storage: ${error.message}`);
@@ -735,12 +5001,50 @@ module.exports = function(app) {
     }
   }
 
+  function writeFileAtomic(filePath, contents) {
+    const tempPath = `${filePath}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function pruneRuleHistory() {
+    const historyDir = getRulesHistoryDir();
+    fs.readdirSync(historyDir)
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .slice(0, -RULES_HISTORY_SIZE)
+      .forEach(name => fs.removeSync(path.join(historyDir, name)));
+  }
+
+  // Bring rules saved with an older schema version up to date
+  function migrateRules(rules, fromVersion) {
+    if (fromVersion > RULES_SCHEMA_VERSION) {
+      app.debug(`Rules were saved with schema version ${fromVersion}, newer than ${RULES_SCHEMA_VERSION} - loading as is`);
+      return rules;
+    }
+
+    let migrated = rules;
+    for (let version = fromVersion; version < RULES_SCHEMA_VERSION; version++) {
+      if (RULE_MIGRATIONS[version]) {
+        migrated = migrated.map(rule => (rule && typeof rule === 'object' ? RULE_MIGRATIONS[version](rule) : rule));
+      }
+    }
+    return migrated;
+  }
+
   function migrateOldConfiguration(options) {
-    // Migrate rules from old plugin config if they exist
-    if (options.importRules && Array.isArray(options.importRules)) {
+    // Migrate rules from old plugin config if they exist, unless they already were
+    if (options.importRules && Array.isArray(options.importRules) && !fs.existsSync(getRulesFilePath())) {
       app.debug('Migrating import rules from plugin configuration to persistent storage');
-      saveRulesToStorage(options.importRules);
-      return options.importRules;
+      const rules = migrateRules(options.importRules, 1);
+      saveRulesToStorage(rules);
+      return rules;
     }
     return null;
   }
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPlugin, rule } = require('./helpers');
+
+const OTHER_VESSEL = 'vessels.urn:mrn:imo:mmsi:211000002';
+
+// Deltas that carry values, i.e. everything but metadata
+function valueDeltas(plugin) {
+  return plugin.app.messages.filter(delta => delta.updates.some(update => update.values));
+}
+
+function startBatching(t, options, rules) {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'] });
+  return startPlugin(t, { options: { batchWindow: 200, ...options }, rules });
+}
+
+test('values are sent as one delta per context with the newest value of each path', (t) => {
+  const plugin = startBatching(t, {}, [
+    rule({ id: 'a', mqttTopic: 'a', signalKPath: 'test.a' }),
+    rule({ id: 'b', mqttTopic: 'b', signalKPath: 'test.b' }),
+    rule({ id: 'c', mqttTopic: 'c', signalKPath: 'test.c', signalKContext: OTHER_VESSEL })
+  ]);
+
+  ['1', '2'].forEach(value => plugin.send('a', value));
+  plugin.send('b', '3');
+  plugin.send('c', '4');
+  assert.deepEqual(plugin.app.messages, []);
+
+  t.mock.timers.tick(200);
+  assert.deepEqual(valueDeltas(plugin).map(delta => delta.context), ['vessels.urn:mrn:imo:mmsi:211000001', OTHER_VESSEL]);
+  assert.deepEqual(plugin.values().map(value => [value.path, value.value]), [['test.a', 2], ['test.b', 3], ['test.c', 4]]);
+  assert.equal(valueDeltas(plugin)[0].updates.length, 1);
+});
+
+test('a full batch is sent before the window ends', (t) => {
+  const plugin = startBatching(t, { batchWindow: 1000, batchMaxValues: 2 }, [
+    rule({ id: 'a', mqttTopic: 'a', signalKPath: 'test.a' }),
+    rule({ id: 'b', mqttTopic: 'b', signalKPath: 'test.b' })
+  ]);
+
+  plugin.send('a', '1');
+  plugin.send('a', '2');
+  assert.deepEqual(plugin.app.messages, []);
+  plugin.send('b', '3');
+  assert.deepEqual(plugin.values().map(value => value.value), [2, 3]);
+});
+
+test('zone notifications follow the value that raised them', (t) => {
+  const plugin = startBatching(t, {}, [rule({ meta: { 'test.value': { zones: [{ lower: 285, state: 'alarm' }] } } })]);
+
+  plugin.send('test/value', '290');
+  assert.deepEqual(valueDeltas(plugin), []);
+
+  t.mock.timers.tick(200);
+  assert.equal(valueDeltas(plugin).length, 1);
+  assert.deepEqual(plugin.values().map(value => value.path), ['test.value', 'notifications.test.value']);
+});
+
+test('clearing a stale value drops the older value still waiting in the batch', (t) => {
+  const plugin = startBatching(t, { batchWindow: 30000 }, [rule({ staleTimeout: 20, staleClearValues: true })]);
+
+  plugin.send('test/value', '12');
+  // Goes stale after 20 s, the batch is flushed after 30 s
+  t.mock.timers.tick(30000);
+  assert.deepEqual(plugin.values().filter(value => value.path === 'test.value').map(value => value.value), [null]);
+});
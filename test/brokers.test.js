@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPlugin, startApi, rule } = require('./helpers');
+
+const brokers = [
+  { id: 'shore', name: 'Shore', url: 'mqtt://shore.test', topicPrefix: 'fleet' },
+  { id: 'buddy', url: 'mqtt://buddy.test', enabled: false }
+];
+
+test('rules subscribe on their brokers with the broker topic prefix', (t) => {
+  const plugin = startPlugin(t, {
+    options: { mqttClientId: 'boat', brokers },
+    rules: [rule({ id: 'shore', brokers: ['shore'] }), rule({ id: 'both', mqttTopic: 'both', brokers: ['default', 'shore'] })]
+  });
+  const [main, shore] = plugin.clients;
+
+  assert.equal(plugin.clients.length, 2);
+  assert.equal(shore.options.clientId, 'boat-shore');
+  assert.deepEqual(main.subscriptions.map(s => s.filter), ['both']);
+  assert.deepEqual(shore.subscriptions.map(s => s.filter), ['fleet/test/value', 'fleet/both']);
+
+  main.emit('message', 'test/value', Buffer.from('1'), {});
+  shore.emit('message', 'fleet/test/value', Buffer.from('2'), {});
+  assert.deepEqual(plugin.values().map(value => value.value), [2]);
+});
+
+test('rules may keep naming a disabled broker', async (t) => {
+  const plugin = startPlugin(t, { options: { brokers }, rules: [rule({ id: 'a', brokers: ['default', 'buddy'] })] });
+  const request = await startApi(t, plugin.plugin);
+
+  let response = await request('PATCH', '/api/rules/a', { name: 'Renamed' });
+  assert.equal(response.status, 200);
+
+  response = await request('PATCH', '/api/rules/a', { brokers: ['default', 'nowhere'] });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /brokers: "nowhere" is not a configured broker/);
+});
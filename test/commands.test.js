@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPlugin, rule } = require('./helpers');
+
+const switchRule = fields => rule({
+  signalKContext: 'vessels.self',
+  allowSelfContext: true,
+  transforms: [{ type: 'boolean' }],
+  ...fields
+});
+
+function put(plugin, path, value) {
+  const handler = plugin.app.putHandlers.find(entry => entry.path === path);
+  assert.ok(handler, `no PUT handler for ${path}`);
+  const results = [];
+  const immediate = handler.handler('vessels.self', path, value, result => results.push(result));
+  return { immediate, results };
+}
+
+test('fixed command paths accept PUTs before the device has reported', (t) => {
+  const plugin = startPlugin(t, {
+    rules: [switchRule({
+      mqttTopic: 'stat/pump/POWER',
+      signalKPath: 'electrical.switches.pump.state',
+      command: { topic: 'cmnd/pump/POWER', valueMap: { true: 'ON', false: 'OFF' } }
+    })]
+  });
+  assert.deepEqual(plugin.app.putHandlers.map(entry => entry.path), ['electrical.switches.pump.state']);
+
+  const { immediate, results } = put(plugin, 'electrical.switches.pump.state', true);
+  assert.equal(immediate.state, 'PENDING');
+  assert.deepEqual(plugin.client.published.map(message => [message.topic, message.payload]), [['cmnd/pump/POWER', 'ON']]);
+
+  // Completed when the device reports the requested state
+  plugin.send('stat/pump/POWER', 'OFF');
+  assert.deepEqual(results, []);
+  plugin.send('stat/pump/POWER', 'ON');
+  assert.deepEqual(results, [{ state: 'COMPLETED', statusCode: 200 }]);
+});
+
+test('templated command paths are registered from their state messages', (t) => {
+  const plugin = startPlugin(t, {
+    rules: [switchRule({
+      mqttTopic: 'stat/{device}/POWER',
+      signalKPath: 'electrical.switches.{device}.state',
+      command: { topic: 'cmnd/{device}/POWER', confirm: false }
+    })]
+  });
+  assert.deepEqual(plugin.app.putHandlers, []);
+
+  plugin.send('stat/light/POWER', 'OFF');
+  const { results } = put(plugin, 'electrical.switches.light.state', 'ON');
+  assert.deepEqual(plugin.client.published.map(message => [message.topic, message.payload]), [['cmnd/light/POWER', 'ON']]);
+  assert.deepEqual(results, [{ state: 'COMPLETED', statusCode: 200 }]);
+});
+
+test('PUTs are refused when the device cannot be reached', (t) => {
+  const plugin = startPlugin(t, {
+    rules: [switchRule({ mqttTopic: 'stat/pump/POWER', signalKPath: 'electrical.switches.pump.state', command: { topic: 'cmnd/pump/POWER' } })]
+  });
+  plugin.client.connected = false;
+
+  const { immediate } = put(plugin, 'electrical.switches.pump.state', true);
+  assert.equal(immediate.statusCode, 503);
+  assert.deepEqual(plugin.client.published, []);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPlugin, startApi, rule } = require('./helpers');
+
+async function deadLetters(request) {
+  const { body } = await request('GET', '/api/dead-letters');
+  return body;
+}
+
+test('messages that cannot be imported are kept with their reason', async (t) => {
+  const plugin = startPlugin(t, {
+    rules: [
+      rule({ id: 'full', mqttTopic: 'full/#', payloadFormat: 'full' }),
+      rule({ id: 'self', mqttTopic: 'self/value', signalKContext: 'vessels.self' })
+    ]
+  });
+  const request = await startApi(t, plugin.plugin);
+
+  plugin.send('nobody/listens', '1');
+  plugin.send('full/broken', '{"context":');
+  plugin.send('full/empty', { context: 'vessels.urn:mrn:imo:mmsi:211000002', updates: [] });
+  plugin.send('full/no-values', { context: 'vessels.urn:mrn:imo:mmsi:211000002', updates: [{ timestamp: '2026-01-01T00:00:00.000Z', values: [] }] });
+  plugin.send('self/value', '1');
+
+  const body = await deadLetters(request);
+  assert.deepEqual(body.counts, { 'no-matching-rule': 1, 'parse-failed': 1, 'invalid-delta': 2, 'context-not-allowed': 1 });
+  assert.deepEqual(body.deadLetters.map(entry => entry.topic),
+    ['self/value', 'full/no-values', 'full/empty', 'full/broken', 'nobody/listens']);
+
+  const filtered = await request('GET', '/api/dead-letters?reason=invalid-delta&limit=1');
+  assert.deepEqual(filtered.body.deadLetters.map(entry => entry.topic), ['full/no-values']);
+
+  await request('DELETE', '/api/dead-letters');
+  assert.deepEqual((await deadLetters(request)).deadLetters, []);
+});
+
+test('excluded MMSIs and echoes are not dead letters', async (t) => {
+  const plugin = startPlugin(t, {
+    rules: [rule({ mqttTopic: 'vessels/+/navigation/position', payloadFormat: 'full', excludeMMSI: '366000001' })]
+  });
+  const request = await startApi(t, plugin.plugin);
+
+  plugin.send('vessels/urn:mrn:imo:mmsi:366000001/navigation/position', { context: 'vessels.urn:mrn:imo:mmsi:366000001', updates: [] });
+  plugin.send('vessels/urn:mrn:imo:mmsi:211000002/navigation/position', {
+    context: 'vessels.urn:mrn:imo:mmsi:211000002',
+    updates: [{ $source: 'zennora-signalk-mqtt-import.rule', values: [{ path: 'navigation.position', value: { latitude: 1, longitude: 2 } }] }]
+  });
+
+  assert.deepEqual((await deadLetters(request)).counts, {});
+  const { body } = await request('GET', '/api/metrics');
+  assert.equal(body.metrics.totals.excluded, 1);
+  assert.equal(body.metrics.totals.unmatched, 0);
+});
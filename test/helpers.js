@@ -0,0 +1,166 @@
+// Test doubles for the SignalK server and the MQTT broker
+// startPlugin() runs the plugin against a fake server app, with a data dir of its own
+// and MQTT clients that tests drive by hand: send() delivers a message on the default
+// broker, app.messages collects every delta the plugin handed to the server.
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const mqtt = require('mqtt');
+const createPlugin = require('../index.js');
+
+const SELF_URN = 'urn:mrn:imo:mmsi:366000001';
+
+const clients = [];
+mqtt.connect = function(url, options) {
+  const client = new EventEmitter();
+  Object.assign(client, { url, options, connected: false, subscriptions: [], unsubscriptions: [], published: [] });
+  client.subscribe = (filter, opts, callback) => {
+    client.subscriptions.push({ filter, qos: opts.qos });
+    if (callback) callback(null, [{ topic: filter, qos: opts.qos }]);
+  };
+  client.unsubscribe = (filters, callback) => {
+    client.unsubscriptions.push(...[].concat(filters));
+    if (callback) callback(null);
+  };
+  client.publish = (topic, payload, opts, callback) => {
+    client.published.push({ topic, payload: String(payload), options: opts });
+    if (callback) callback(null);
+  };
+  client.end = (force, opts, callback) => {
+    client.connected = false;
+    if (typeof callback === 'function') callback();
+  };
+  clients.push(client);
+  return client;
+};
+
+function createApp(dataDir) {
+  const signalk = new EventEmitter();
+  const app = {
+    selfId: SELF_URN,
+    signalk,
+    messages: [],
+    putHandlers: [],
+    debug: () => {},
+    error: () => {},
+    getDataDirPath: () => dataDir,
+    getSelfPath: () => undefined,
+    handleMessage(id, delta) {
+      app.messages.push(JSON.parse(JSON.stringify(delta)));
+      signalk.emit('delta', delta);
+    },
+    registerPutHandler(context, path, handler, source) {
+      app.putHandlers.push({ context, path, handler, source });
+      return () => {};
+    }
+  };
+  return app;
+}
+
+// Start the plugin with the given settings and stored rules
+// Pass dataDir to start again on the files of an earlier run, and sessionPresent to
+// connect as if the broker still had the client's persistent session
+function startPlugin(t, { options = {}, rules, rulesFile, dataDir, sessionPresent = false } = {}) {
+  dataDir = dataDir || fs.mkdtempSync(path.join(os.tmpdir(), 'mqtt-import-test-'));
+  if (rules) {
+    fs.writeFileSync(path.join(dataDir, 'mqtt-import-rules.json'), JSON.stringify({ schemaVersion: 2, rules }));
+  } else if (rulesFile) {
+    fs.writeFileSync(path.join(dataDir, 'mqtt-import-rules.json'), JSON.stringify(rulesFile));
+  }
+
+  const app = createApp(dataDir);
+  const plugin = createPlugin(app);
+  const first = clients.length;
+  plugin.start({ mqttBroker: 'mqtt://broker.test', ...options });
+  const pluginClients = clients.slice(first);
+  pluginClients.forEach(client => {
+    client.connected = true;
+    client.emit('connect', { sessionPresent });
+  });
+
+  const context = {
+    app,
+    plugin,
+    dataDir,
+    client: pluginClients[0],
+    clients: pluginClients,
+    send(topic, payload, packet = {}) {
+      const message = Buffer.isBuffer(payload)
+        ? payload
+        : Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload));
+      context.client.emit('message', topic, message, packet);
+    },
+    // Values the plugin sent to SignalK, flattened to { context, path, value, source, timestamp }
+    values() {
+      return app.messages.flatMap(delta => delta.updates.flatMap(update => (update.values || []).map(value => ({
+        context: delta.context,
+        path: value.path,
+        value: value.value,
+        source: update.source,
+        timestamp: update.timestamp
+      }))));
+    },
+    stop() {
+      plugin.stop();
+    }
+  };
+
+  t.after(() => {
+    plugin.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  return context;
+}
+
+// Serve the plugin's REST API on a random local port
+// request(method, path, body, headers) resolves to { status, headers, body }
+async function startApi(t, plugin) {
+  const server = express();
+  const router = express.Router();
+  plugin.registerWithRouter(router);
+  server.use(express.json());
+  server.use(router);
+
+  const listener = http.createServer(server);
+  await new Promise(resolve => listener.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => listener.close(resolve)));
+  const base = `http://127.0.0.1:${listener.address().port}`;
+
+  return async function request(method, url, body, headers = {}) {
+    const response = await fetch(base + url, {
+      method,
+      headers: body === undefined ? headers : { 'content-type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON, e.g. Prometheus metrics
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+}
+
+// A value-only rule with the fields every rule needs
+function rule(fields) {
+  return {
+    id: 'rule',
+    name: 'Rule',
+    enabled: true,
+    mqttTopic: 'test/value',
+    signalKContext: 'vessels.urn:mrn:imo:mmsi:211000001',
+    signalKPath: 'test.value',
+    payloadFormat: 'value-only',
+    ...fields
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { SELF_URN, startPlugin, startApi, rule, sleep };
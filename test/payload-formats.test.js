@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPlugin, startApi, rule } = require('./helpers');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+function importPayload(t, fields, payload) {
+  const plugin = startPlugin(t, { rules: [rule({ signalKPath: undefined, ...fields })] });
+  plugin.send('test/value', payload);
+  return plugin;
+}
+
+function valuesByPath(plugin) {
+  return Object.fromEntries(plugin.values().map(value => [value.path, value.value]));
+}
+
+test('NMEA 0183 sentences are converted to SignalK units', (t) => {
+  const plugin = importPayload(t, { payloadFormat: 'nmea0183' }, [
+    '$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*6A',
+    '$IIMWV,270.0,R,10.0,N,A*09'
+  ].join('\r\n'));
+
+  const [update] = plugin.app.messages[0].updates;
+  assert.deepEqual(update.source, { label: '', type: 'NMEA0183', talker: 'GP', sentence: 'RMC' });
+  assert.equal(update.timestamp, '1994-03-23T12:35:19.000Z');
+
+  const values = valuesByPath(plugin);
+  close(values['navigation.position'].latitude, 48 + 7.038 / 60);
+  close(values['navigation.position'].longitude, 11 + 31 / 60);
+  close(values['navigation.speedOverGround'], 22.4 * 1852 / 3600);
+  close(values['navigation.courseOverGroundTrue'], 84.4 * Math.PI / 180);
+  close(values['navigation.magneticVariation'], -3.1 * Math.PI / 180);
+  close(values['environment.wind.angleApparent'], -Math.PI / 2);
+  close(values['environment.wind.speedApparent'], 10 * 1852 / 3600);
+});
+
+test('NMEA 0183 sentences with a bad checksum or no fix are skipped', (t) => {
+  const plugin = importPayload(t, { payloadFormat: 'nmea0183' }, [
+    '$IIMWV,270.0,R,10.0,N,A*00',
+    '$GPRMC,123519,V,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*7D',
+    '$IIMTW,18.5,C'
+  ].join('\n'));
+
+  assert.deepEqual(Object.keys(valuesByPath(plugin)), ['environment.water.temperature']);
+  close(valuesByPath(plugin)['environment.water.temperature'], 291.65);
+});
+
+test('delimited text picks columns by number', (t) => {
+  const plugin = importPayload(t, {
+    payloadFormat: 'delimited',
+    delimiter: ';',
+    fieldMappings: [
+      { column: 0, path: 'environment.inside.temperature', transforms: [{ type: 'convert', conversion: 'celsiusToKelvin' }] },
+      { column: 1, path: 'environment.inside.label' },
+      { column: 4, path: 'environment.inside.missing' }
+    ]
+  }, '21.5;cabin;1013.2\n22;saloon');
+
+  assert.deepEqual(plugin.values().map(value => [value.path, value.value]), [
+    ['environment.inside.temperature', 294.65],
+    ['environment.inside.label', 'cabin'],
+    ['environment.inside.temperature', 295.15],
+    ['environment.inside.label', 'saloon']
+  ]);
+});
+
+test('binary fields are read at their offset, type and endianness', (t) => {
+  const plugin = importPayload(t, {
+    payloadFormat: 'binary',
+    fieldMappings: [
+      { offset: 0, type: 'uint16', scale: 0.01, path: 'electrical.batteries.house.voltage' },
+      { offset: 2, type: 'int16', endianness: 'big', scale: 0.1, path: 'electrical.batteries.house.current' },
+      { offset: 4, type: 'float32', path: 'electrical.batteries.house.temperature' }
+    ]
+  }, Buffer.from('e604fff6', 'hex'));
+
+  const values = valuesByPath(plugin);
+  assert.deepEqual(Object.keys(values), ['electrical.batteries.house.voltage', 'electrical.batteries.house.current']);
+  close(values['electrical.batteries.house.voltage'], 12.54);
+  close(values['electrical.batteries.house.current'], -1);
+});
+
+test('binary payloads can be tried out as hex', async (t) => {
+  const plugin = startPlugin(t, { rules: [] });
+  const request = await startApi(t, plugin.plugin);
+
+  const { body } = await request('POST', '/api/rules/test', {
+    topic: 'test/value',
+    payload: '0a00',
+    encoding: 'hex',
+    rules: [rule({ payloadFormat: 'binary', fieldMappings: [{ offset: 0, type: 'uint16', path: 'tanks.fuel.0.currentLevel', scale: 0.01 }] })]
+  });
+  assert.equal(body.result.rules[0].status, 'matched');
+  assert.equal(body.result.rules[0].delta.updates[0].values[0].value, 0.1);
+});
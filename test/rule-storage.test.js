@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startPlugin, startApi, rule } = require('./helpers');
+
+function readRulesFile(dataDir) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, 'mqtt-import-rules.json'), 'utf8'));
+}
+
+test('rule files of the first schema version are migrated on load', async (t) => {
+  // Version 1 files are a plain array and predate the vessels.self guard
+  const plugin = startPlugin(t, { rulesFile: [rule({ id: 'old', allowSelfContext: undefined, signalKContext: 'vessels.self' })] });
+  const request = await startApi(t, plugin.plugin);
+
+  const { body } = await request('GET', '/api/rules');
+  assert.equal(body.rules[0].allowSelfContext, true);
+  plugin.send('test/value', '1');
+  assert.equal(plugin.values().length, 1);
+});
+
+test('saves are atomic and keep a history that can be restored', async (t) => {
+  const plugin = startPlugin(t, { rules: [rule({ id: 'a', name: 'A' })] });
+  const request = await startApi(t, plugin.plugin);
+
+  await request('POST', '/api/rules', { rules: [rule({ id: 'a', name: 'A' }), rule({ id: 'b', name: 'B' })] });
+  await request('POST', '/api/rules', { rules: [rule({ id: 'c', name: 'C' })] });
+
+  const saved = readRulesFile(plugin.dataDir);
+  assert.equal(saved.schemaVersion, 2);
+  assert.deepEqual(saved.rules.map(r => r.id), ['c']);
+  assert.deepEqual(fs.readdirSync(plugin.dataDir).filter(name => name.includes('.tmp')), []);
+
+  const { body } = await request('GET', '/api/rules/history');
+  assert.deepEqual(body.history.map(entry => entry.ruleCount), [1, 2]);
+  assert.equal(body.history[0].current, true);
+
+  const restored = await request('POST', `/api/rules/history/${encodeURIComponent(body.history[1].id)}/restore`);
+  assert.equal(restored.status, 200);
+  assert.deepEqual(readRulesFile(plugin.dataDir).rules.map(r => r.id), ['a', 'b']);
+});
+
+test('a corrupt rule file is moved aside and the newest backup restored', async (t) => {
+  const first = startPlugin(t, { rules: [rule({ id: 'a', name: 'A' })] });
+  const request = await startApi(t, first.plugin);
+  await request('POST', '/api/rules', { rules: [rule({ id: 'kept', name: 'Kept' })] });
+  first.stop();
+
+  fs.writeFileSync(path.join(first.dataDir, 'mqtt-import-rules.json'), '{"schemaVersion": 2, "rules": [');
+  const second = startPlugin(t, { dataDir: first.dataDir });
+  const secondRequest = await startApi(t, second.plugin);
+
+  const { body } = await secondRequest('GET', '/api/rules');
+  assert.deepEqual(body.rules.map(r => r.id), ['kept']);
+  assert.equal(fs.readdirSync(first.dataDir).filter(name => name.startsWith('mqtt-import-rules.json.corrupt-')).length, 1);
+});
+
+test('imports migrate export documents but take plain rule lists as current', async (t) => {
+  const plugin = startPlugin(t, { rules: [] });
+  const request = await startApi(t, plugin.plugin);
+  const imported = rule({ id: 'x' });
+
+  await request('POST', '/api/rules/import', { rules: [imported] });
+  let { body } = await request('GET', '/api/rules');
+  assert.equal(body.rules[0].allowSelfContext, undefined);
+
+  await request('POST', '/api/rules/import', { format: 'zennora-signalk-mqtt-import-rules', schemaVersion: 1, rules: [imported] });
+  ({ body } = await request('GET', '/api/rules'));
+  assert.equal(body.rules[0].allowSelfContext, true);
+});
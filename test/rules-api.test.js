@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPlugin, startApi, rule } = require('./helpers');
+
+async function startWithRules(t, rules) {
+  const plugin = startPlugin(t, { rules });
+  return { plugin, request: await startApi(t, plugin.plugin) };
+}
+
+test('single rules can be created, changed and deleted', async (t) => {
+  const { plugin, request } = await startWithRules(t, [rule({ id: 'a', name: 'A' })]);
+
+  let response = await request('PUT', '/api/rules/b', rule({ id: 'b', name: 'B', mqttTopic: 'test/b' }));
+  assert.equal(response.status, 201);
+  response = await request('PATCH', '/api/rules/b', { signalKPath: 'test.b' });
+  assert.equal(response.status, 200);
+  response = await request('GET', '/api/rules/b');
+  assert.equal(response.body.rule.signalKPath, 'test.b');
+  assert.deepEqual(plugin.client.subscriptions.map(s => s.filter), ['test/value', 'test/b']);
+
+  response = await request('DELETE', '/api/rules/a');
+  assert.equal(response.status, 200);
+  response = await request('GET', '/api/rules');
+  assert.deepEqual(response.body.rules.map(r => r.id), ['b']);
+  assert.deepEqual(plugin.client.unsubscriptions, ['test/value']);
+
+  response = await request('GET', '/api/rules/a');
+  assert.equal(response.status, 404);
+});
+
+test('changes made against an old ETag are refused', async (t) => {
+  const { request } = await startWithRules(t, [rule({ id: 'a', name: 'A' })]);
+
+  const { headers } = await request('GET', '/api/rules/a');
+  const etag = headers.get('etag');
+  assert.ok(etag);
+
+  let response = await request('PATCH', '/api/rules/a', { name: 'First' }, { 'If-Match': etag });
+  assert.equal(response.status, 200);
+  response = await request('PATCH', '/api/rules/a', { name: 'Second' }, { 'If-Match': etag });
+  assert.equal(response.status, 412);
+
+  response = await request('PUT', '/api/rules/a', rule({ id: 'a', name: 'A' }), { 'If-None-Match': '*' });
+  assert.equal(response.status, 412);
+  response = await request('GET', '/api/rules/a');
+  assert.equal(response.body.rule.name, 'First');
+});
+
+test('invalid rules are rejected with field errors', async (t) => {
+  const { request } = await startWithRules(t, []);
+
+  const response = await request('POST', '/api/rules', {
+    rules: [rule({ id: 'a', name: 'A', payloadFormat: 'xml', staleAlertMethod: 'visual' }), rule({ id: 'a', name: 'Copy' })]
+  });
+  assert.equal(response.status, 400);
+  const fields = response.body.fieldErrors.map(error => `${error.index}:${error.field}`);
+  assert.ok(fields.includes('0:payloadFormat'), fields.join());
+  assert.ok(fields.includes('0:staleAlertMethod'), fields.join());
+  assert.ok(response.body.errors.includes('Rule "Copy": id "a" is used by more than one rule'), response.body.errors.join());
+
+  const valid = await request('POST', '/api/rules', { rules: [rule({ staleTimeout: 60, staleAlertMethod: ['visual', 'sound'] })] });
+  assert.equal(valid.status, 200);
+});
+
+test('export and import move rule sets between servers', async (t) => {
+  const { request } = await startWithRules(t, [rule({ id: 'a', name: 'A' }), rule({ id: 'b', name: 'B' })]);
+
+  const exported = await request('GET', '/api/rules/export');
+  assert.equal(exported.status, 200);
+  assert.equal(exported.body.rules.length, 2);
+
+  // Merge replaces rules with a known id in place and appends new ones
+  let response = await request('POST', '/api/rules/import?mode=merge', {
+    ...exported.body,
+    rules: [rule({ id: 'c', name: 'C' }), rule({ id: 'a', name: 'A2' })]
+  });
+  assert.equal(response.status, 200);
+  response = await request('GET', '/api/rules');
+  assert.deepEqual(response.body.rules.map(r => r.name), ['A2', 'B', 'C']);
+
+  response = await request('POST', '/api/rules/import', exported.body);
+  assert.equal(response.status, 200);
+  response = await request('GET', '/api/rules');
+  assert.deepEqual(response.body.rules.map(r => r.name), ['A', 'B']);
+
+  response = await request('POST', '/api/rules/import', { format: 'something-else', rules: [] });
+  assert.equal(response.status, 400);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPlugin, rule } = require('./helpers');
+
+function notifications(plugin, path) {
+  return plugin.values().filter(value => value.path === path).map(value => value.value.state);
+}
+
+test('a rule goes stale when no data arrives and recovers when it resumes', (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'] });
+  const plugin = startPlugin(t, { rules: [rule({ staleTimeout: 20, staleAlertState: 'alarm', staleClearValues: true })] });
+
+  plugin.send('test/value', '12');
+  t.mock.timers.tick(25000);
+  assert.deepEqual(notifications(plugin, 'notifications.mqttImport.rule'), ['alarm']);
+  assert.deepEqual(plugin.values().filter(value => value.path === 'test.value').map(value => value.value), [12, null]);
+
+  plugin.send('test/value', '12.5');
+  assert.deepEqual(notifications(plugin, 'notifications.mqttImport.rule'), ['alarm', 'normal']);
+});
+
+test('a steady reading held back by a deadband is not stale', (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'] });
+  const plugin = startPlugin(t, { rules: [rule({ staleTimeout: 20, deadband: 1, staleClearValues: true })] });
+
+  for (let second = 0; second < 60; second += 5) {
+    plugin.send('test/value', '12.1');
+    t.mock.timers.tick(5000);
+  }
+  assert.deepEqual(notifications(plugin, 'notifications.mqttImport.rule'), []);
+  assert.deepEqual(plugin.values().map(value => value.value), [12.1]);
+});
+
+test('pathStaleTimeouts watch single paths in their context', (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'] });
+  const plugin = startPlugin(t, { rules: [rule({ pathStaleTimeouts: { 'test.value': 10 } })] });
+
+  plugin.send('test/value', '1');
+  t.mock.timers.tick(15000);
+  const [notification] = plugin.values().filter(value => value.path === 'notifications.mqttImport.rule.test.value');
+  assert.equal(notification.context, 'vessels.urn:mrn:imo:mmsi:211000001');
+  assert.equal(notification.value.state, 'warn');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPlugin, startApi, rule } = require('./helpers');
+
+const persistent = { mqttClientId: 'boat', connectionOptions: { cleanSession: false } };
+
+test('a filter shared by several rules uses the highest QoS', (t) => {
+  const plugin = startPlugin(t, {
+    rules: [rule({ id: 'a', qos: 0, continueMatching: true }), rule({ id: 'b', qos: 2 }), rule({ id: 'c', mqttTopic: 'other', qos: 0 })]
+  });
+  assert.deepEqual(plugin.client.subscriptions, [{ filter: 'test/value', qos: 2 }, { filter: 'other', qos: 0 }]);
+});
+
+test('saving rules only changes the subscriptions that differ', async (t) => {
+  const plugin = startPlugin(t, { rules: [rule({ id: 'a' }), rule({ id: 'b', mqttTopic: 'b' })] });
+  const request = await startApi(t, plugin.plugin);
+  plugin.client.subscriptions.length = 0;
+
+  await request('POST', '/api/rules', { rules: [rule({ id: 'a' }), rule({ id: 'c', mqttTopic: 'c', qos: 0 })] });
+  assert.deepEqual(plugin.client.unsubscriptions, ['b']);
+  assert.deepEqual(plugin.client.subscriptions, [{ filter: 'c', qos: 0 }]);
+});
+
+test('retained messages can be ignored per rule', (t) => {
+  const plugin = startPlugin(t, { rules: [rule({ retainedMessages: 'ignore' })] });
+  plugin.send('test/value', '1', { retain: true });
+  plugin.send('test/value', '2', { retain: false });
+  assert.deepEqual(plugin.values().map(value => value.value), [2]);
+});
+
+test('a resumed session drops filters of rules removed while disconnected', async (t) => {
+  const plugin = startPlugin(t, { options: persistent, rules: [rule({ id: 'a' }), rule({ id: 'b', mqttTopic: 'b' })] });
+  const request = await startApi(t, plugin.plugin);
+
+  plugin.client.connected = false;
+  await request('DELETE', '/api/rules/b');
+  assert.deepEqual(plugin.client.unsubscriptions, []);
+
+  plugin.client.connected = true;
+  plugin.client.emit('connect', { sessionPresent: true });
+  assert.deepEqual(plugin.client.unsubscriptions, ['b']);
+});
+
+test('a session resumed after a restart drops filters the rules no longer use', async (t) => {
+  const first = startPlugin(t, { options: persistent, rules: [rule({ id: 'a' }), rule({ id: 'b', mqttTopic: 'b' })] });
+  const request = await startApi(t, first.plugin);
+  first.stop();
+  await request('DELETE', '/api/rules/b');
+
+  const resumed = startPlugin(t, { options: persistent, dataDir: first.dataDir, sessionPresent: true });
+  assert.deepEqual(resumed.client.unsubscriptions, ['b']);
+
+  // The saved subscriptions belong to the session of one client id
+  resumed.stop();
+  const fresh = startPlugin(t, { options: { ...persistent, mqttClientId: 'other' }, dataDir: first.dataDir, sessionPresent: true });
+  assert.deepEqual(fresh.client.unsubscriptions, []);
+  assert.deepEqual(fresh.client.subscriptions.map(s => s.filter), ['test/value']);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPlugin, rule } = require('./helpers');
+
+// Send each payload through the rule and return the values that were published
+function publish(t, fields, payloads) {
+  const plugin = startPlugin(t, { rules: [rule(fields)] });
+  payloads.forEach(payload => plugin.send('test/value', payload));
+  return plugin.values().map(value => value.value);
+}
+
+test('deadband drops small changes against the last value sent', (t) => {
+  assert.deepEqual(publish(t, { deadband: 0.5 }, ['12.0', '12.3', '12.6', '12.4', '13.2']), [12, 12.6, 13.2]);
+});
+
+test('deadbandPercent drops small relative changes', (t) => {
+  assert.deepEqual(publish(t, { deadbandPercent: 10 }, ['100', '105', '111', '95']), [100, 111, 95]);
+});
+
+test('minPublishInterval sends one value per path per interval', (t) => {
+  assert.deepEqual(publish(t, { minPublishInterval: 60 }, ['1', '2', '3']), [1]);
+});
+
+test('positionThreshold ignores GPS jitter', (t) => {
+  const position = (latitude, longitude) => ({ latitude, longitude });
+  const sent = publish(t, { positionThreshold: 10 }, [position(50, -1), position(50.00001, -1), position(50.001, -1)]);
+  assert.deepEqual(sent, [position(50, -1), position(50.001, -1)]);
+});
+
+test('ignoreDuplicates drops identical values inside the window', (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval', 'setTimeout'] });
+  const plugin = startPlugin(t, { rules: [rule({ ignoreDuplicates: true, duplicateWindow: 30 })] });
+
+  plugin.send('test/value', '{"state":"on"}');
+  plugin.send('test/value', '{"state":"on"}');
+  plugin.send('test/value', '{"state":"off"}');
+  t.mock.timers.tick(31000);
+  plugin.send('test/value', '{"state":"off"}');
+  assert.deepEqual(plugin.values().map(value => value.value.state), ['on', 'off', 'off']);
+});
+
+test('throttling is kept per rule, context and path', (t) => {
+  const plugin = startPlugin(t, {
+    rules: [rule({ mqttTopic: 'fleet/{mmsi}', signalKContext: 'vessels.urn:mrn:imo:mmsi:{mmsi}', minPublishInterval: 60 })]
+  });
+  plugin.send('fleet/211000002', '1');
+  plugin.send('fleet/211000003', '1');
+  plugin.send('fleet/211000002', '2');
+  assert.deepEqual(plugin.values().map(value => value.context), ['vessels.urn:mrn:imo:mmsi:211000002', 'vessels.urn:mrn:imo:mmsi:211000003']);
+});
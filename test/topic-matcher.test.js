@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPlugin, rule } = require('./helpers');
+
+// Paths imported for a message, one rule per path
+function matchedPaths(plugin, topic, payload = '1') {
+  const before = plugin.values().length;
+  plugin.send(topic, payload);
+  return plugin.values().slice(before).map(value => value.path);
+}
+
+test('wildcards follow MQTT semantics', (t) => {
+  const plugin = startPlugin(t, {
+    rules: [
+      rule({ id: 'single', mqttTopic: 'a/+/c', signalKPath: 'single' }),
+      rule({ id: 'multi', mqttTopic: 'm/#', signalKPath: 'multi' }),
+      rule({ id: 'all', mqttTopic: '#', signalKPath: 'all' })
+    ]
+  });
+
+  assert.deepEqual(matchedPaths(plugin, 'a/b/c'), ['single']);
+  assert.deepEqual(matchedPaths(plugin, 'a/b/c/d'), ['all']);
+  assert.deepEqual(matchedPaths(plugin, 'x/a/b/c'), ['all']);
+  assert.deepEqual(matchedPaths(plugin, 'm'), ['multi']);
+  assert.deepEqual(matchedPaths(plugin, 'm/1/2/3'), ['multi']);
+  assert.deepEqual(matchedPaths(plugin, '$SYS/broker/uptime'), []);
+});
+
+test('vessels/self matches the self vessel in both URN forms only', (t) => {
+  const plugin = startPlugin(t, {
+    rules: [rule({ mqttTopic: 'vessels/self/navigation/speedOverGround', signalKPath: 'navigation.speedOverGround' })]
+  });
+
+  assert.deepEqual(matchedPaths(plugin, 'vessels/urn:mrn:imo:mmsi:366000001/navigation/speedOverGround'), ['navigation.speedOverGround']);
+  assert.deepEqual(matchedPaths(plugin, 'vessels/urn_mrn_imo_mmsi_366000001/navigation/speedOverGround'), ['navigation.speedOverGround']);
+  assert.deepEqual(matchedPaths(plugin, 'vessels/urn:mrn:imo:mmsi:211000002/navigation/speedOverGround'), []);
+});
+
+test('partial levels only match levels with the prefix', (t) => {
+  const plugin = startPlugin(t, { rules: [rule({ mqttTopic: 'vessels/urn_mrn_imo_mmsi_+/#', signalKPath: 'ais' })] });
+
+  assert.deepEqual(plugin.client.subscriptions.map(s => s.filter), ['vessels/+/#']);
+  assert.deepEqual(matchedPaths(plugin, 'vessels/urn_mrn_imo_mmsi_211000002/navigation/position'), ['ais']);
+  assert.deepEqual(matchedPaths(plugin, 'vessels/other/navigation/position'), []);
+});
+
+test('disabled rules are not matched', (t) => {
+  const plugin = startPlugin(t, {
+    rules: [
+      rule({ id: 'off', enabled: false, mqttTopic: 'a/#', signalKPath: 'off' }),
+      rule({ id: 'on', mqttTopic: 'a/b', signalKPath: 'on' })
+    ]
+  });
+
+  assert.deepEqual(matchedPaths(plugin, 'a/b'), ['on']);
+  assert.deepEqual(matchedPaths(plugin, 'a/c'), []);
+});
+
+test('rules fan out in order until one stops matching', (t) => {
+  const plugin = startPlugin(t, {
+    rules: [
+      rule({ id: 'first', mqttTopic: 'a/b', signalKPath: 'first', continueMatching: true }),
+      rule({ id: 'second', mqttTopic: 'a/+', signalKPath: 'second' }),
+      rule({ id: 'third', mqttTopic: 'a/#', signalKPath: 'third' })
+    ]
+  });
+
+  assert.deepEqual(matchedPaths(plugin, 'a/b'), ['first', 'second']);
+  assert.deepEqual(matchedPaths(plugin, 'a/c'), ['second']);
+  assert.deepEqual(matchedPaths(plugin, 'a/c/d'), ['third']);
+});
+
+test('rules excluding the MMSI never stop matching', (t) => {
+  const plugin = startPlugin(t, {
+    rules: [
+      rule({ id: 'own', mqttTopic: 'vessels/+/navigation/position', signalKPath: 'own', excludeMMSI: '211000002' }),
+      rule({ id: 'others', mqttTopic: 'vessels/#', signalKPath: 'others' })
+    ]
+  });
+
+  assert.deepEqual(matchedPaths(plugin, 'vessels/urn:mrn:imo:mmsi:211000002/navigation/position'), ['others']);
+  assert.deepEqual(matchedPaths(plugin, 'vessels/urn:mrn:imo:mmsi:211000003/navigation/position'), ['own']);
+});
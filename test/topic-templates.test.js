@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPlugin, startApi, rule } = require('./helpers');
+
+test('named topic levels fill the context, path and source label', (t) => {
+  const plugin = startPlugin(t, {
+    rules: [rule({
+      mqttTopic: 'fleet/{mmsi}/sensor/{zone}/{metric}',
+      signalKContext: 'vessels.urn:mrn:imo:mmsi:{mmsi}',
+      signalKPath: 'environment.inside.{zone}.{metric}',
+      sourceLabel: 'sensor-{zone}'
+    })]
+  });
+  assert.deepEqual(plugin.client.subscriptions.map(s => s.filter), ['fleet/+/sensor/+/+']);
+
+  plugin.send('fleet/211000002/sensor/cabin/temperature', '293.1');
+  const [value] = plugin.values();
+  assert.equal(value.context, 'vessels.urn:mrn:imo:mmsi:211000002');
+  assert.equal(value.path, 'environment.inside.cabin.temperature');
+  assert.equal(value.source.label, 'sensor-cabin');
+  assert.equal(value.value, 293.1);
+});
+
+test('multi-level captures become dotted paths', (t) => {
+  const plugin = startPlugin(t, { rules: [rule({ mqttTopic: 'tele/{device}/{rest#}', signalKPath: 'sensors.{device}.{rest}' })] });
+  assert.deepEqual(plugin.client.subscriptions.map(s => s.filter), ['tele/+/#']);
+
+  plugin.send('tele/pump/state/power', '1');
+  assert.equal(plugin.values()[0].path, 'sensors.pump.state.power');
+});
+
+test('templates with placeholders the topic does not capture are rejected', async (t) => {
+  const plugin = startPlugin(t, { rules: [] });
+  const request = await startApi(t, plugin.plugin);
+
+  let response = await request('POST', '/api/rules', { rules: [rule({ mqttTopic: 'boat/{zone}/x', signalKPath: 'a.{zone}.{metric}' })] });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /signalKPath uses \{metric\} which is not captured/);
+
+  response = await request('POST', '/api/rules', { rules: [rule({ mqttTopic: 'boat/{rest#}/x' })] });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /must be the last level/);
+
+  response = await request('POST', '/api/rules', { rules: [rule({ mqttTopic: 'boat/zone-{zone}' })] });
+  assert.equal(response.status, 400);
+  assert.match(response.body.error, /whole-level placeholder/);
+});
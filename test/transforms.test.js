@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPlugin, startApi, rule } = require('./helpers');
+
+// Import one message through a rule with the given transforms and return the values
+function importWith(t, transforms, payload) {
+  const plugin = startPlugin(t, { rules: [rule({ transforms })] });
+  plugin.send('test/value', payload);
+  return plugin.values().map(value => value.value);
+}
+
+test('numeric transforms are applied in order', (t) => {
+  assert.deepEqual(importWith(t, [{ type: 'scale', factor: 2 }, { type: 'offset', offset: 1 }], '10'), [21]);
+  assert.deepEqual(importWith(t, [{ type: 'linear', factor: 0.5, offset: -1 }], '10'), [4]);
+  assert.deepEqual(importWith(t, [{ type: 'convert', conversion: 'celsiusToKelvin' }, { type: 'round', decimals: 1 }], '21.04'), [294.2]);
+  assert.deepEqual(importWith(t, [{ type: 'clamp', min: 0, max: 1 }], '1.7'), [1]);
+});
+
+test('numeric transforms leave non-numeric values untouched', (t) => {
+  const position = { latitude: 50.1, longitude: -1.2 };
+  assert.deepEqual(importWith(t, [{ type: 'scale', factor: 2 }], position), [position]);
+});
+
+test('boolean and map transforms look values up', (t) => {
+  assert.deepEqual(importWith(t, [{ type: 'boolean' }], 'ON'), [true]);
+  assert.deepEqual(importWith(t, [{ type: 'boolean', trueValue: 1, falseValue: 0 }], 'closed'), [0]);
+  assert.deepEqual(importWith(t, [{ type: 'map', map: { 0: 'off', 1: 'on' }, default: 'unknown' }], '1'), ['on']);
+  assert.deepEqual(importWith(t, [{ type: 'map', map: { 0: 'off' }, default: 'unknown' }], '7'), ['unknown']);
+});
+
+test('expressions see the value, the path and the math functions', (t) => {
+  assert.deepEqual(importWith(t, [{ type: 'expression', expression: 'value.x > 2 ? value.x * 2 : 0' }], { x: 3 }), [6]);
+  assert.deepEqual(importWith(t, [{ type: 'expression', expression: 'round(sqrt(value[0] ** 2 + value[1] ** 2))' }], [3, 4]), [5]);
+  assert.deepEqual(importWith(t, [{ type: 'expression', expression: 'path == "test.value" && !(value < 0)' }], '1'), [true]);
+});
+
+test('expressions cannot reach JavaScript outside the sandbox', (t) => {
+  assert.deepEqual(importWith(t, [{ type: 'expression', expression: 'value.constructor' }], { a: 1 }), []);
+  assert.deepEqual(importWith(t, [{ type: 'expression', expression: 'value.__proto__' }], { a: 1 }), []);
+  assert.deepEqual(importWith(t, [{ type: 'expression', expression: 'value.toString()' }], { a: 1 }), []);
+  assert.deepEqual(importWith(t, [{ type: 'expression', expression: 'process' }], '1'), []);
+});
+
+test('invalid transforms are rejected when rules are saved', async (t) => {
+  const plugin = startPlugin(t, { rules: [] });
+  const request = await startApi(t, plugin.plugin);
+  const save = transforms => request('POST', '/api/rules', { rules: [rule({ transforms })] });
+
+  const cases = [
+    [[{ type: 'multiply' }], /transforms\[0\]\.type "multiply"/],
+    [[{ type: 'convert', conversion: 'furlongsToMeters' }], /transforms\[0\]\.conversion/],
+    [[{ type: 'scale', factor: 'abc' }], /transforms\[0\]\.factor must be a number/],
+    [[{ type: 'linear', factor: 2, offset: {} }], /transforms\[0\]\.offset must be a number/],
+    [[{ type: 'clamp', min: 0, max: 'high' }], /transforms\[0\]\.max must be a number/],
+    [[{ type: 'round', decimals: null }, { type: 'round', decimals: 'two' }], /transforms\[1\]\.decimals must be a number/],
+    [[{ type: 'expression', expression: 'value; process.exit()' }], /transforms\[0\]\.expression: Unexpected character/],
+    [[{ type: 'expression', expression: 'value +' }], /transforms\[0\]\.expression: Unexpected end/]
+  ];
+  for (const [transforms, error] of cases) {
+    const response = await save(transforms);
+    assert.equal(response.status, 400, JSON.stringify(transforms));
+    assert.match(response.body.error, error);
+  }
+
+  const valid = await save([{ type: 'scale', factor: '2.5' }, { type: 'expression', expression: 'min(value, 10)' }]);
+  assert.equal(valid.status, 200);
+});
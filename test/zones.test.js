@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startPlugin, startApi, rule } = require('./helpers');
+
+const meta = {
+  'test.value': {
+    units: 'K',
+    displayName: 'Fridge',
+    zones: [
+      { lower: 280, state: 'warn' },
+      { lower: 285, state: 'alarm', message: 'Fridge is warm' }
+    ]
+  }
+};
+
+function notifications(plugin) {
+  return plugin.values()
+    .filter(value => value.path === 'notifications.test.value')
+    .map(value => [value.value.state, value.value.message]);
+}
+
+test('metadata is sent when the rule starts and zones raise and clear notifications', (t) => {
+  const plugin = startPlugin(t, { rules: [rule({ meta })] });
+  assert.deepEqual(plugin.app.messages[0].updates[0].meta, [{ path: 'test.value', value: meta['test.value'] }]);
+
+  ['278', '282', '290', '279'].forEach(value => plugin.send('test/value', value));
+  assert.deepEqual(notifications(plugin), [
+    ['warn', 'Fridge is in the warn zone'],
+    ['alarm', 'Fridge is warm'],
+    ['normal', 'Fridge is back to normal']
+  ]);
+
+  const alarm = plugin.values().find(value => value.value.state === 'alarm');
+  assert.deepEqual(alarm.value.method, ['visual', 'sound']);
+});
+
+test('a zone boundary crossed inside the deadband still raises the alarm', (t) => {
+  const plugin = startPlugin(t, { rules: [rule({ meta, deadband: 1 })] });
+
+  plugin.send('test/value', '279.8');
+  plugin.send('test/value', '280.2');
+  assert.deepEqual(plugin.values().filter(value => value.path === 'test.value').map(value => value.value), [279.8]);
+  assert.deepEqual(notifications(plugin), [['warn', 'Fridge is in the warn zone']]);
+});
+
+test('notifications are cleared when the rule loses its zones', async (t) => {
+  const plugin = startPlugin(t, { rules: [rule({ id: 'fridge', meta })] });
+  const request = await startApi(t, plugin.plugin);
+
+  plugin.send('test/value', '290');
+  await request('PATCH', '/api/rules/fridge', { meta: { 'test.value': { units: 'K' } } });
+  assert.deepEqual(notifications(plugin), [['alarm', 'Fridge is warm'], ['normal', 'Zones of test.value removed']]);
+});
+
+test('invalid zones are rejected when rules are saved', async (t) => {
+  const plugin = startPlugin(t, { rules: [] });
+  const request = await startApi(t, plugin.plugin);
+
+  const { status, body } = await request('POST', '/api/rules', {
+    rules: [rule({ meta: { 'test.value': { zones: [{ lower: 5, upper: 1, state: 'danger' }] } } })]
+  });
+  assert.equal(status, 400);
+  assert.match(body.error, /zones\[0\]\.state must be one of/);
+  assert.match(body.error, /zones\[0\]\.lower must not be greater than upper/);
+});